@@ -3,16 +3,104 @@
  * A lightweight, proxy-based global state management library for React
  */
 
-import { Dispatch, SetStateAction } from 'react'
+import { SetStateAction } from 'react'
+
+/**
+ * A new value, or an updater function.
+ * Updaters for objects and arrays receive a mutable draft: either return a new
+ * value, or mutate the draft and return nothing. Draft writes are copy-on-write,
+ * so unchanged branches keep their identity.
+ *
+ * @template T The type of the state value
+ */
+export type StoreUpdate<T> = T | ((draft: T) => T | void)
 
 /**
  * A function that updates state, similar to React's setState.
  * Can accept either a new value or an updater function.
  *
  * @template T The type of the state value
- * @param value Either a new value of type T, or a function that takes the current value and returns a new value
+ * @param value Either a new value of type T, or a function that takes the current value (or a draft of it) and returns a new value
+ */
+export type StoreSetter<T> = (value: StoreUpdate<T>) => void
+
+/**
+ * Reads the current value of a store or nested path inside derived getters and
+ * write functions. Derived stores only depend on the paths they read.
+ */
+export type StoreGet = <U>(store: Store<U>) => U
+
+/**
+ * Updates a store from inside a derived store's write function
+ */
+export type StoreSet = <U>(store: Store<U>, value: StoreUpdate<U>) => void
+
+/**
+ * Maps a value written to a derived store back onto its source stores.
+ * Receives the complete next value, even for writes to nested paths.
+ *
+ * @template T The type of the derived value
+ */
+export type DerivedWrite<T> = (get: StoreGet, set: StoreSet, value: T) => void
+
+/**
+ * Passed to async functions. `signal` is aborted when the request is superseded,
+ * by a new input or a refetch, or when the store is disposed.
  */
-export type StoreSetter<T> = Dispatch<SetStateAction<T>>
+export interface AsyncContext {
+  signal: AbortSignal
+}
+
+/**
+ * Options for async stores, passed to `.async()`, or in place of `write` to
+ * `.derive()` and `combine()`
+ */
+export interface AsyncOptions {
+  /**
+   * Hold an `AsyncState` instead of the bare result, keeping the previous data
+   * while a request runs
+   */
+  swr?: boolean
+  /**
+   * Retry a failed request up to this many times. Defaults to 0. Async stores
+   * then show `{ loading: true, attempt }` while a request runs.
+   */
+  retry?: number
+  /**
+   * Milliseconds to wait before a retry, or a function of the failed attempt
+   * number. Defaults to exponential backoff: 1s, 2s, 4s... up to 30s.
+   */
+  retryDelay?: number | ((attempt: number) => number)
+  /** Return false to stop retrying after this error. Defaults to always retrying. */
+  retryIf?: (error: any) => boolean
+  /**
+   * Refetch every this many milliseconds, counted from when the last request
+   * settled. Polling pauses while the store has no subscribers.
+   */
+  refreshInterval?: number
+  /** Also pause polling while the document is hidden */
+  pauseWhenHidden?: boolean
+}
+
+/**
+ * Stale-while-revalidate state of an async store created with `{ swr: true }`.
+ * `data` keeps the last successful result while refetching and after errors.
+ *
+ * @template T The type of the loaded data
+ */
+export interface AsyncState<T> {
+  /** `loading` until the first request settles */
+  status: 'loading' | 'success' | 'error'
+  data: T | undefined
+  /** The error thrown by the last request, or null */
+  error: any
+  /** Whether a request is running */
+  isFetching: boolean
+  /** When `data` was loaded, in milliseconds since the epoch, or null */
+  updatedAt: number | null
+  /** The attempt of the latest request that is running or last ran, from 1 */
+  attempt: number
+}
 
 /**
  * Core store interface that provides access to state value and mutation methods.
@@ -27,6 +115,14 @@ export interface Store<T> {
   /** Internal property - reference to the root store object */
   readonly _obj: any
 
+  /**
+   * The error thrown by the last computation of a derived store, or `null`.
+   * Only available on the root of derived stores. The store keeps its last
+   * successful value while the error is set, and the error clears once a later
+   * computation succeeds.
+   */
+  readonly error: Error | null
+
   /**
    * Get the current value of this store synchronously.
    * Useful for accessing state outside React components.
@@ -55,9 +151,189 @@ export interface Store<T> {
    *
    * // Use updater function
    * counterStore.set(prev => prev + 1)
+   *
+   * // Mutate a draft
+   * todosStore.set(draft => {
+   *   draft.todos[3].done = true
+   * })
+   * ```
+   */
+  set(value: StoreUpdate<T>): void
+
+  /**
+   * Enable undo/redo history for this store. Only available on the root of a
+   * store: on nested paths, `history` reads the data key of that name.
+   * Every committed update is recorded as one entry, including updates to nested
+   * paths. All updates made inside a `batch` are recorded as a single entry.
+   *
+   * @param options History options
+   * @param options.limit The maximum number of undo entries to keep (default 100)
+   * @returns The store proxy with history controls
+   * @example
+   * ```ts
+   * const docStore = store({ title: '', body: '' }).history({ limit: 50 })
+   *
+   * docStore.title.set('Hello')
+   * docStore.undo()
+   * docStore.canRedo // true
+   * ```
+   */
+  history(options?: HistoryOptions): HistoryStoreProxy<T>
+
+  /**
+   * Register middleware that runs around updates touching this path.
+   * Middleware registered on a nested path runs for updates at that path,
+   * its parents and its children. For a parent update it receives this path
+   * and the values at it, runs only if that value changes, and a rewritten
+   * `next` is written back into the parent value.
+   *
+   * @param middleware The middleware to register
+   * @returns A function that removes the middleware
+   * @example
+   * ```ts
+   * userStore.age.addMiddleware((context, commit) => {
+   *   if (context.next >= 0) commit() // Veto negative ages
+   * })
+   * ```
+   */
+  addMiddleware(middleware: Middleware<T>): () => void
+
+  /**
+   * Remove this key from its parent object, or this element from its parent array.
+   * Only subscribers of the removed path (and shifted array indices) are notified.
+   *
+   * @example
+   * ```ts
+   * usersStore[userId].delete()
+   * todosStore.todos[2].delete()
+   * ```
+   */
+  delete(): void
+
+  /**
+   * Append items to the array at this path.
+   * Subscribers of existing indices are not notified.
+   *
+   * @param items The items to append
+   * @example
+   * ```ts
+   * todosStore.todos.push({ id: 3, text: 'Ship it' })
    * ```
    */
-  set(value: SetStateAction<T>): void
+  push(...items: T extends readonly (infer U)[] ? U[] : never): void
+
+  /**
+   * Insert items into the array at this path before the given index.
+   * Only subscribers of shifted indices are notified.
+   *
+   * @param index The index to insert at, from 0 to the array length
+   * @param items The items to insert
+   * @example
+   * ```ts
+   * todosStore.todos.insert(0, { id: 0, text: 'First' })
+   * ```
+   */
+  insert(
+    index: number,
+    ...items: T extends readonly (infer U)[] ? U[] : never
+  ): void
+
+  /**
+   * Move an item of the array at this path to a new index.
+   * Only subscribers of indices between `from` and `to` are notified.
+   *
+   * @param from The current index of the item
+   * @param to The index to move the item to
+   * @example
+   * ```ts
+   * todosStore.todos.move(0, 2)
+   * ```
+   */
+  move(from: number, to: number): void
+
+  /**
+   * Shallow merge a partial object into the object at this path.
+   * Only subscribers of the merged keys are notified.
+   *
+   * @param partial The keys to update
+   * @example
+   * ```ts
+   * appStore.settings.merge({ theme: 'light' })
+   * ```
+   */
+  merge(partial: Partial<T>): void
+
+  /**
+   * Restore the initial value at this path.
+   * Derived stores are recomputed instead.
+   *
+   * @example
+   * ```ts
+   * const userStore = store({ name: 'Winter', origin: 'South Korea' })
+   * userStore.name.set('Karina')
+   * userStore.name.reset() // name is 'Winter' again
+   * ```
+   */
+  reset(): void
+
+  /**
+   * Rerun the async function of an async store with its last input, aborting a
+   * request that is still in flight. Works on `.async()` stores and async derived
+   * stores, and throws on stores without an async operation.
+   *
+   * @returns A promise that resolves once the new result is in the store
+   * @example
+   * ```ts
+   * await saveTodo(todo)
+   * await todosStore.refetch()
+   * ```
+   */
+  refetch(): Promise<void>
+
+  /**
+   * Mark the data of an async store stale. Stores with subscribers refetch right
+   * away; others refetch when they are next read or subscribed to.
+   *
+   * @example
+   * ```ts
+   * await saveTodo(todo)
+   * todosStore.invalidate()
+   * ```
+   */
+  invalidate(): void
+
+  /**
+   * Release the whole store: unlink it from the stores it reads and from its
+   * dependents, drop its listeners, and cancel in-flight async work and pending
+   * persistence. Later reads, writes and subscriptions throw.
+   *
+   * @example
+   * ```ts
+   * const searchResultsStore = queryStore.derive(query => search(query))
+   * // When the route unmounts
+   * searchResultsStore.dispose()
+   * ```
+   */
+  dispose(): void
+
+  /**
+   * Subscribe to changes of the value at this path outside React.
+   * The listener only fires when the value at this path actually changes and
+   * receives the next and previous values.
+   *
+   * @param listener Called with `(next, prev)` after each change
+   * @returns A function that removes the listener
+   * @example
+   * ```ts
+   * const unsubscribe = userStore.name.subscribe((next, prev) => {
+   *   analytics.track('name_changed', { from: prev, to: next })
+   * })
+   *
+   * // Later
+   * unsubscribe()
+   * ```
+   */
+  subscribe(listener: (next: T, prev: T) => void): () => void
 
   /**
    * Create a localStorage-backed version of this store.
@@ -93,27 +369,50 @@ export interface Store<T> {
    * Create a derived store that depends on this store's value.
    * The derived function receives the current value and returns a new value.
    * If the function returns a Promise, it automatically becomes an async derived store.
+   * Only the latest input's result is kept, and earlier requests are aborted through
+   * the `signal` passed as the second argument.
+   * Without a write function, writes go to the same path of this store.
    *
    * @param derivedFn A function that receives the current value and returns a new value or Promise
+   * @param write Optional function that maps writes to the derived store back onto source stores
    * @returns A new derived store
    * @example
    * ```ts
    * const pokemonIdStore = store(1)
-   * const pokemonDetailsStore = pokemonIdStore.derive(async (id) => {
-   *   const response = await fetch(`https://pokeapi.co/api/v2/pokemon/${id}`)
+   * const pokemonDetailsStore = pokemonIdStore.derive(async (id, { signal }) => {
+   *   const response = await fetch(`https://pokeapi.co/api/v2/pokemon/${id}`, { signal })
    *   return response.json()
    * })
+   *
+   * const celsiusStore = fahrenheitStore.derive(
+   *   (f) => ((f - 32) * 5) / 9,
+   *   (get, set, c) => set(fahrenheitStore, (c * 9) / 5 + 32)
+   * )
+   *
+   * // Keep showing the previous Pokemon while the next one loads
+   * const pokemonStateStore = pokemonIdStore.derive(fetchPokemon, { swr: true })
    * ```
    */
-  derive<U>(derivedFn: (value: T) => U | Promise<U>): Store<U>
+  derive<U>(
+    derivedFn: (value: T, context: AsyncContext) => Promise<U>,
+    options: AsyncOptions & { swr: true }
+  ): Store<AsyncState<U>>
+  derive<U>(
+    derivedFn: (value: T, context: AsyncContext) => U | Promise<U>,
+    write?: DerivedWrite<U> | AsyncOptions
+  ): Store<U>
 
   /**
    * Load data asynchronously into this store.
    * The async function is called immediately and the result updates the store.
+   * It receives a `signal` that is aborted when the request is superseded by
+   * `refetch()` or the store is disposed.
    * On error, sets an error state object with error details.
+   * With `{ swr: true }` the store holds an `AsyncState` instead.
    * Returns the store proxy for chaining.
    *
    * @param asyncFn A function that returns a Promise with the data to load
+   * @param options Async store options
    * @returns The store proxy for method chaining
    * @example
    * ```ts
@@ -128,9 +427,48 @@ export interface Store<T> {
    * }
    * ```
    */
-  async(asyncFn: () => Promise<T>): Store<T>
+  async<U>(
+    asyncFn: (context: AsyncContext) => Promise<U>,
+    options: AsyncOptions & { swr: true }
+  ): Store<AsyncState<U>>
+  async(
+    asyncFn: (context: AsyncContext) => Promise<T>,
+    options?: AsyncOptions
+  ): Store<T>
 }
 
+/**
+ * Update information passed to middleware.
+ *
+ * @template T The type of the store the middleware is registered on
+ */
+export interface MiddlewareContext<T = any> {
+  /** The root store being updated */
+  readonly store: StoreProxy<T>
+  /**
+   * The path being set, empty for the root. Store middleware registered below
+   * the updated path gets its own path instead, with the values there.
+   */
+  readonly path: string[]
+  /** The current value at the path */
+  readonly prev: any
+  /** The value about to be committed. Assign to rewrite it. */
+  next: any
+}
+
+/**
+ * Middleware that runs before an update is committed.
+ * Call `commit()` to continue the pipeline; the value is written once the last
+ * middleware commits, so code after `commit()` runs after the update.
+ * Not calling `commit()` vetoes the update, and throwing rejects it with an error.
+ *
+ * @template T The type of the store the middleware is registered on
+ */
+export type Middleware<T = any> = (
+  context: MiddlewareContext<T>,
+  commit: () => void
+) => void
+
 /**
  * Proxy type that enables nested property access on stores.
  * Each property access creates a new Store instance scoped to that path.
@@ -141,12 +479,104 @@ export type StoreProxy<T> = Store<T> & {
   [K in keyof T]: T[K] extends object ? StoreProxy<T[K]> : Store<T[K]>
 }
 
+/**
+ * Options for `store.history()`
+ */
+export interface HistoryOptions {
+  /** The maximum number of undo entries to keep (default 100) */
+  limit?: number
+}
+
+/**
+ * Undo/redo controls for a store with history
+ */
+export interface HistoryControls {
+  /** Restore the value from before the last recorded update */
+  undo(): void
+  /** Re-apply the last undone update */
+  redo(): void
+  /** Remove all undo and redo entries, keeping the current value */
+  clear(): void
+  /** Whether there is an update to undo */
+  readonly canUndo: boolean
+  /** Whether there is an undone update to redo */
+  readonly canRedo: boolean
+}
+
+/**
+ * Store proxy returned by `store.history()`
+ *
+ * @template T The type of the stored value
+ */
+export type HistoryStoreProxy<T> = StoreProxy<T> & HistoryControls
+
+/**
+ * Equality used to decide whether an update changes a store.
+ * - `'deep'` compares structurally, including Date, Map, Set, NaN and cyclic data (default)
+ * - `'shallow'` compares arrays and plain objects one level deep, other objects by identity
+ * - `'is'` compares with `Object.is`
+ * - A custom function returning `true` when two values are equal
+ */
+export type EqualityOption =
+  | 'deep'
+  | 'shallow'
+  | 'is'
+  | ((a: any, b: any) => boolean)
+
+/**
+ * Options for `store()`
+ */
+export interface StoreOptions {
+  /** How updates are compared with the current value (default `'deep'`) */
+  equals?: EqualityOption
+
+  /** Label used for the store in error messages, such as dependency cycles */
+  name?: string
+
+  /**
+   * For derived stores: rethrow the getter's error while rendering components
+   * that read the store, so the nearest error boundary can handle it
+   */
+  throwOnError?: boolean
+}
+
+/**
+ * Create a derived store computed from other stores. Derived stores are lazy
+ * and recompute when the stores they read change. Pass a write function to make
+ * the derived store writable.
+ *
+ * @template T The type of the derived value
+ * @param read A function that reads other stores with `get` and returns the derived value
+ * @param write Optional function that maps writes back onto source stores
+ * @param options Store options
+ * @returns A derived Store proxy
+ * @example
+ * ```ts
+ * const totalStore = store(get => get(priceStore) * get(quantityStore))
+ *
+ * const celsiusStore = store(
+ *   get => ((get(fahrenheitStore) - 32) * 5) / 9,
+ *   (get, set, celsius) => set(fahrenheitStore, (celsius * 9) / 5 + 32)
+ * )
+ * ```
+ */
+export function store<T>(
+  read: (get: StoreGet) => T,
+  write?: DerivedWrite<T>,
+  options?: StoreOptions
+): StoreProxy<T>
+export function store<T>(
+  read: (get: StoreGet) => T,
+  options?: StoreOptions
+): StoreProxy<T>
+
 /**
  * Create a new in-memory store with the given initial value.
  * The store persists for the lifetime of the application session.
  *
  * @template T The type of the initial value
  * @param initialValue The initial value to store
+ * @param options Store options
  * @returns A Store proxy that enables nested property access
  * @example
  * ```ts
@@ -161,9 +591,12 @@ export type StoreProxy<T> = Store<T> & {
  *
  * // Array store
  * const todosStore = store([{ id: 1, text: 'Learn React' }])
+ *
+ * // Compare updates by reference instead of deeply
+ * const itemsStore = store([], { equals: 'is' })
  * ```
  */
-export function store<T>(initialValue: T): StoreProxy<T>
+export function store<T>(initialValue: T, options?: StoreOptions): StoreProxy<T>
 
 /**
  * React hook that provides both the current value and a setter function.
@@ -241,6 +674,277 @@ export function useStoreValue<T>(store: Store<T>): T
  */
 export function useStoreSetter<T>(store: Store<T>): StoreSetter<T>
 
+/**
+ * React hook that provides undo/redo controls for a store created with `.history()`.
+ * Re-renders when `canUndo` or `canRedo` change, which makes it suitable for toolbar buttons.
+ *
+ * @template T The type of the stored value
+ * @param store A store with history enabled
+ * @returns The history controls
+ * @example
+ * ```ts
+ * function Toolbar() {
+ *   const { undo, redo, canUndo, canRedo } = useHistory(docStore)
+ *
+ *   return (
+ *     <>
+ *       <button onClick={undo} disabled={!canUndo}>Undo</button>
+ *       <button onClick={redo} disabled={!canRedo}>Redo</button>
+ *     </>
+ *   )
+ * }
+ * ```
+ */
+export function useHistory<T>(store: HistoryStoreProxy<T>): HistoryControls
+
+/**
+ * React hook that subscribes to a computed slice of a store.
+ * The selector runs against the current value and the component only re-renders
+ * when the selected value changes according to `isEqual`.
+ *
+ * @template T The type of the stored value
+ * @template S The type of the selected value
+ * @param store The store, nested store property or derived store to select from
+ * @param selector A function that computes a value from the store's current value
+ * @param isEqual Compares the previous and next selection (defaults to deep equality)
+ * @returns The selected value
+ * @example
+ * ```ts
+ * function DoneCount() {
+ *   const doneCount = useStoreSelector(
+ *     todosStore.items,
+ *     items => items.filter(item => item.done).length
+ *   )
+ *
+ *   return <p>Done: {doneCount}</p>
+ * }
+ * ```
+ */
+export function useStoreSelector<T, S>(
+  store: Store<T>,
+  selector: (value: T) => S,
+  isEqual?: (a: S, b: S) => boolean
+): S
+
+/**
+ * React hook that returns the error thrown by a derived store's last computation,
+ * or `null`. Re-renders when the error appears or clears.
+ *
+ * @param store The derived store to watch
+ * @returns The current error, or null
+ * @example
+ * ```ts
+ * function Total() {
+ *   const total = useStoreValue(totalStore)
+ *   const error = useStoreError(totalStore)
+ *
+ *   if (error) return <p>Could not compute total: {error.message}</p>
+ *   return <p>Total: {total}</p>
+ * }
+ * ```
+ */
+export function useStoreError(store: Store<any>): Error | null
+
+/**
+ * Hook returning a stable function that reruns an async store's request.
+ * Equivalent to calling `store.refetch()`.
+ *
+ * @param store The async store to refetch
+ * @returns A function that refetches and resolves once the result is in the store
+ * @example
+ * ```ts
+ * function Pokemon() {
+ *   const pokemon = useStoreValue(pokemonStore)
+ *   const refetch = useRefetch(pokemonStore)
+ *
+ *   if (isError(pokemon)) return <button onClick={refetch}>Retry</button>
+ *   return <p>{pokemon.name}</p>
+ * }
+ * ```
+ */
+export function useRefetch(store: Store<any>): () => Promise<void>
+
+/**
+ * Register middleware that runs around updates to every store.
+ * Global middleware runs before middleware registered on individual stores.
+ *
+ * @param middleware The middleware to register
+ * @returns A function that removes the middleware
+ * @example
+ * ```ts
+ * addMiddleware((context, commit) => {
+ *   console.log(context.path.join('.'), context.prev, '->', context.next)
+ *   commit()
+ * })
+ * ```
+ */
+export function addMiddleware(middleware: Middleware): () => void
+
+/**
+ * Restore every store to its initial value and recompute derived stores.
+ * Useful for logout flows and test cleanup.
+ *
+ * @example
+ * ```ts
+ * function logout() {
+ *   resetAllStores()
+ * }
+ * ```
+ */
+export function resetAllStores(): void
+
+/**
+ * Values of an array or object of stores, in the same shape
+ */
+export type SourceValues<S> = {
+  [K in keyof S]: S[K] extends Store<infer U> ? U : never
+}
+
+/**
+ * Create a derived store from several stores declared up front. The read function
+ * receives their values in the same shape as `sources`. If it returns a Promise,
+ * the result is an async store with the usual loading and error states, and
+ * requests for earlier source values are aborted through `context.signal`.
+ * The store is lazy: `read` first runs on the first read or subscription, and
+ * errors it throws are exposed as `store.error`.
+ * Pass `write` to make the store writable: it receives the written value and the
+ * current source values, and returns new source values keyed like `sources`.
+ * Async stores may take `AsyncOptions` in its place.
+ *
+ * @template S An array or object of stores
+ * @template T The type of the combined value
+ * @param sources The stores to read
+ * @param read Computes the combined value from the source values
+ * @param write Maps a written value back onto the sources, or async options
+ * @returns A derived store
+ * @example
+ * ```ts
+ * const fullNameStore = combine(
+ *   { first: firstNameStore, last: lastNameStore },
+ *   ({ first, last }) => `${first} ${last}`,
+ *   fullName => {
+ *     const [first, last] = fullName.split(' ')
+ *     return { first, last }
+ *   }
+ * )
+ *
+ * const postsStore = combine([userIdStore, pageStore], ([userId, page]) =>
+ *   fetchPosts(userId, page)
+ * )
+ * ```
+ */
+export function combine<S extends Store<any>[] | Record<string, Store<any>>, T>(
+  sources: S,
+  read: (values: SourceValues<S>, context: AsyncContext) => Promise<T>,
+  options: AsyncOptions & { swr: true }
+): StoreProxy<AsyncState<T>>
+export function combine<S extends Store<any>[] | Record<string, Store<any>>, T>(
+  sources: S,
+  read: (values: SourceValues<S>, context: AsyncContext) => T | Promise<T>,
+  write?:
+    | ((value: T, values: SourceValues<S>) => Partial<SourceValues<S>> | void)
+    | AsyncOptions
+): StoreProxy<T>
+
+/**
+ * Options for `storeFamily()`
+ */
+export interface StoreFamilyOptions {
+  /**
+   * Keep at most this many stores, evicting and disposing the least recently
+   * used
+   */
+  maxSize?: number
+
+  /** Drop and dispose a store once its last subscriber leaves */
+  disposeWhenUnobserved?: boolean
+}
+
+/**
+ * A function returning one store per parameter, created by `storeFamily()`
+ *
+ * @template P The type of the parameter
+ * @template T The type of each store's value
+ */
+export interface StoreFamily<P, T> {
+  /** Get the store for a parameter, creating it on first use */
+  (param: P): StoreProxy<T>
+
+  /**
+   * Drop the store for a parameter; the next call creates a fresh one. Stores
+   * created by the factory are disposed once nothing subscribes to them.
+   */
+  remove(param: P): void
+
+  /** Drop every store in the family, disposing them like `remove()` */
+  clear(): void
+}
+
+/**
+ * Create a family of stores keyed by parameter. Deeply equal parameters share
+ * a store. The factory can return an initial value, a derived getter or a store
+ * created with `.derive()`, `.async()` or `.local()`.
+ *
+ * @template P The type of the parameter
+ * @template T The type of each store's value
+ * @param create Creates the initial value, getter or store for a parameter
+ * @param options Eviction options
+ * @returns The store family
+ * @example
+ * ```ts
+ * const todoFamily = storeFamily(id => ({ id, text: '', done: false }))
+ * todoFamily(1).done.set(true)
+ *
+ * const userFamily = storeFamily(
+ *   id => store().async(() => fetchUser(id)),
+ *   { maxSize: 50 }
+ * )
+ * ```
+ */
+export function storeFamily<P, T>(
+  create: (param: P) => Store<T> | ((get: StoreGet) => T) | T,
+  options?: StoreFamilyOptions
+): StoreFamily<P, T>
+
+/**
+ * Run several updates as a single batch.
+ * Listeners and derived stores are notified once, after the outermost batch ends,
+ * instead of after every individual `set` call.
+ *
+ * @template R The return type of the batched function
+ * @param fn A function that performs store updates
+ * @returns The value returned by `fn`
+ * @example
+ * ```ts
+ * batch(() => {
+ *   userStore.name.set('Giselle')
+ *   userStore.origin.set('Japan')
+ * }) // Subscribers re-render once
+ * ```
+ */
+export function batch<R>(fn: () => R): R
+
+/**
+ * Async-safe version of `batch`.
+ * `fn` receives a `set(store, value)` function. Stores written through it
+ * notify once, when `fn` settles, however many `await`s apart the writes are.
+ * Only those stores are held back; other stores keep notifying while `fn`
+ * awaits. Updates made directly before the first `await` are batched too.
+ *
+ * @template R The resolved type of the batched function
+ * @param fn An async function that performs store updates through `set`
+ * @returns A promise resolving to the value returned by `fn`
+ * @example
+ * ```ts
+ * await batchAsync(async set => {
+ *   set(userStore.name, 'Giselle')
+ *   const origin = await fetchOrigin()
+ *   set(userStore.origin, origin)
+ * })
+ * ```
+ */
+export function batchAsync<R>(fn: (set: StoreSet) => Promise<R> | R): Promise<R>
+
 // Legacy API (deprecated but maintained for backward compatibility)
 
 /**
@@ -307,7 +1011,7 @@ export interface ErrorState {
 }
 
 /**
- * Check if data represents an error state
+ * Check if data represents an error state, or an `AsyncState` whose last request failed
  * @param data The data to check
  * @returns True if data is an error state
  * @example
@@ -317,12 +1021,15 @@ export interface ErrorState {
  * }
  * ```
  */
-export function isError(data: any): data is ErrorState
+export function isError(
+  data: any
+): data is ErrorState | (AsyncState<any> & { status: 'error' })
 
 /**
- * Check if data represents a successful result
+ * Check if data represents a successful result. An `AsyncState` stays successful
+ * while it refetches.
  * @param data The data to check
- * @returns True if data is not an error state
+ * @returns True if data is not an error or loading state
  * @example
  * ```ts
  * if (isSuccess(pokemon)) {
@@ -333,7 +1040,8 @@ export function isError(data: any): data is ErrorState
 export function isSuccess(data: any): boolean
 
 /**
- * Check if data represents a loading state
+ * Check if data represents a loading state. An `AsyncState` is loading only until
+ * its first request settles; use `isFetching` for later requests.
  * @param data The data to check
  * @returns True if data is in loading state
  * @example
@@ -346,7 +1054,8 @@ export function isSuccess(data: any): boolean
 export function isLoading(data: any): boolean
 
 /**
- * Get error message from data if it's an error state
+ * Get error message from data if it's an error state. For an `AsyncState` this is
+ * the message of the thrown error.
  * @param data The data to check
  * @returns Error message or null
  * @example
@@ -1,5 +1,7 @@
-import { useCallback, useMemo, useSyncExternalStore } from 'react'
+import { useCallback, useMemo, useRef, useSyncExternalStore } from 'react'
 import deepEqual from './utilities/deep-equal.js'
+import shallowEqual from './utilities/shallow-equal.js'
+import produce from './utilities/produce.js'
 
 // WeakMaps for state management and derived store tracking
 const stateMap = new WeakMap()
@@ -7,19 +9,88 @@ const proxyCache = new WeakMap()
 const dependencyMap = new WeakMap()
 const derivedStoreMap = new WeakMap()
 
+// Weak references to every store, so resetAllStores can reach them without
+// keeping unused stores alive. A store's reference is dropped when the store
+// is disposed or garbage collected, so the set only holds live stores.
+const storeRegistry = new Set()
+const storeRegistryRefs = new WeakMap()
+const storeFinalizer = new FinalizationRegistry(ref =>
+  storeRegistry.delete(ref)
+)
+
+// Store objects created while collectCreatedStores runs, or null
+let createdStores = null
+
+// Run fn and return its result along with the store objects it created
+const collectCreatedStores = fn => {
+  const outer = createdStores
+  createdStores = new Set()
+  const created = createdStores
+  try {
+    return [fn(), created]
+  } finally {
+    createdStores = outer
+    if (outer) created.forEach(storeObj => outer.add(storeObj))
+  }
+}
+
+// Track a new store object
+const registerStore = storeObj => {
+  stateMap.set(storeObj, storeObj)
+  if (createdStores) createdStores.add(storeObj)
+  const ref = new WeakRef(storeObj)
+  storeRegistry.add(ref)
+  storeRegistryRefs.set(storeObj, ref)
+  storeFinalizer.register(storeObj, ref, ref)
+}
+
+const unregisterStore = storeObj => {
+  const ref = storeRegistryRefs.get(storeObj)
+  if (!ref) return
+  storeRegistry.delete(ref)
+  storeFinalizer.unregister(ref)
+}
+
+// Built-in equality functions for the `equals` store option
+const equalityFunctions = {
+  is: Object.is,
+  shallow: shallowEqual,
+  deep: deepEqual,
+}
+
+// Resolve the `equals` option to a comparison function (deep by default)
+const resolveEquals = (equals = 'deep') => {
+  if (typeof equals === 'function') return equals
+  if (!equalityFunctions[equals]) {
+    throw new Error(
+      `Unknown equals option "${equals}". Use 'is', 'shallow', 'deep' or a function.`
+    )
+  }
+  return equalityFunctions[equals]
+}
+
 // Main store creation function
-export const store = initialValue => {
+export const store = (initialValue, options = {}, derivedOptions) => {
   if (typeof initialValue === 'function') {
-    return createDerivedStore(initialValue)
+    // Derived stores take an optional write function before their options
+    return typeof options === 'function' ?
+        createDerivedStore(initialValue, options, derivedOptions)
+      : createDerivedStore(initialValue, undefined, options)
   }
 
-  const storeObj = { value: initialValue, listeners: new Set() }
-  stateMap.set(storeObj, storeObj)
+  const storeObj = {
+    value: initialValue,
+    initialValue,
+    name: options.name,
+    equals: resolveEquals(options.equals),
+    ...createListeners(),
+  }
+  registerStore(storeObj)
   return createStoreProxy(storeObj)
 }
 
 // Create storage-backed stores (localStorage/sessionStorage)
-const createStorageStore = (storageType, key, initialValue) => {
+const createStorageStore = (storageType, key, initialValue, equals) => {
   const storage = storageType === 'local' ? localStorage : sessionStorage
 
   // Check if key exists in storage (regardless of its value)
@@ -39,8 +110,13 @@ const createStorageStore = (storageType, key, initialValue) => {
     }
   }
 
-  const storeObj = { value: getStoredValue(), listeners: new Set() }
-  stateMap.set(storeObj, storeObj)
+  const storeObj = {
+    value: getStoredValue(),
+    initialValue,
+    equals,
+    ...createListeners(),
+  }
+  registerStore(storeObj)
   const storeProxy = createStoreProxy(storeObj)
 
   // If key didn't exist, save the initial value to storage
@@ -57,6 +133,7 @@ const createStorageStore = (storageType, key, initialValue) => {
   }
 
   let saveTimeout
+  onDispose(storeObj, () => clearTimeout(saveTimeout))
   storeObj.listeners.add(() => {
     clearTimeout(saveTimeout)
     saveTimeout = setTimeout(() => {
@@ -78,11 +155,71 @@ const getState = store => {
   return stateMap.get(store)
 }
 
+// Operations that throw once a store is disposed
+const storeOperations = new Set([
+  'get',
+  'set',
+  'subscribe',
+  'error',
+  'delete',
+  'push',
+  'insert',
+  'move',
+  'merge',
+  'reset',
+  'refetch',
+  'invalidate',
+  'history',
+  'undo',
+  'redo',
+  'clear',
+  'addMiddleware',
+  'local',
+  'session',
+  'derive',
+  'async',
+])
+
+const assertNotDisposed = storeObj => {
+  if (!storeObj.disposed) return
+  const name = storeObj.name ? ` "${storeObj.name}"` : ''
+  throw new Error(
+    `Cannot use disposed store${name}. It can no longer be read, written or subscribed to.`
+  )
+}
+
+// Register cleanup to run when the store is disposed
+const onDispose = (storeObj, cleanup) => {
+  if (!storeObj.cleanups) storeObj.cleanups = []
+  storeObj.cleanups.push(cleanup)
+}
+
 // Find the base store that a derived store depends on
 const findBaseStore = derivedStoreObj => {
   return derivedStoreObj.baseStore
 }
 
+// Resolve the state object and path that a write at path should go to. Derived
+// stores with a write function handle their own writes; others created with
+// .derive() write through to the same path below their base store's path.
+const getWriteTarget = (storeObj, path) => {
+  if (!storeObj.isDerived) return [getState(storeObj), path]
+
+  if (storeObj.write) {
+    // Updaters and structural operations start from the current value
+    refreshDerivedStore(storeObj)
+    return [storeObj, path]
+  }
+
+  const baseStore = findBaseStore(storeObj)
+  if (!baseStore) {
+    throw new Error(
+      'Cannot set value on derived store. Derived stores are read-only.'
+    )
+  }
+  return [getState(baseStore), [...baseStore._path, ...path]]
+}
+
 // Utility functions for nested object manipulation
 const getValueAtPath = (obj, path) => {
   if (path.length === 0) return obj
@@ -105,107 +242,1345 @@ const setValueAtPath = (obj, path, value) => {
   return newObj
 }
 
+// Listener storage is a trie keyed by path segment, so a change at a path only
+// wakes listeners on that path, its ancestors and its descendants. The root
+// node's Set doubles as storeObj.listeners and sees every change to the store.
+const createListenerNode = () => ({ listeners: new Set(), children: new Map() })
+
+// observerCount tracks subscribers plus live derived stores reading the store
+const createListeners = () => {
+  const listenerTree = createListenerNode()
+  return { listeners: listenerTree.listeners, listenerTree, observerCount: 0 }
+}
+
+// Add a listener at a path, returning an unsubscribe function
+const subscribeAtPath = (storeObj, path, listener) => {
+  assertNotDisposed(storeObj)
+  const nodes = [storeObj.listenerTree]
+  path.forEach(key => {
+    const parent = nodes[nodes.length - 1]
+    const segment = String(key)
+    if (!parent.children.has(segment)) {
+      parent.children.set(segment, createListenerNode())
+    }
+    nodes.push(parent.children.get(segment))
+  })
+
+  // Subscribing may be what first computes a lazy derived store
+  observeStore(storeObj)
+  nodes[nodes.length - 1].listeners.add(listener)
+
+  let subscribed = true
+  return () => {
+    if (!subscribed) return
+    subscribed = false
+    nodes[nodes.length - 1].listeners.delete(listener)
+
+    // Prune nodes left without listeners or children
+    for (let i = nodes.length - 1; i > 0; i--) {
+      const node = nodes[i]
+      if (node.listeners.size > 0 || node.children.size > 0) break
+      const parent = nodes[i - 1]
+      if (parent.children.get(String(path[i - 1])) === node) {
+        parent.children.delete(String(path[i - 1]))
+      }
+    }
+
+    unobserveStore(storeObj)
+  }
+}
+
+// Subscribe to value changes at a path, calling listener(next, prev) only when
+// the value there actually changed
+const subscribeToValue = (storeObj, path, listener) => {
+  let previousValue
+
+  const unsubscribe = subscribeAtPath(storeObj, path, () => {
+    const nextValue = getValueAtPath(storeObj.value, path)
+    if (storeObj.equals(nextValue, previousValue)) return
+
+    const prevValue = previousValue
+    previousValue = nextValue
+    listener(nextValue, prevValue)
+  })
+
+  // Read after subscribing, once a lazy derived store has been computed
+  previousValue = getValueAtPath(storeObj.value, path)
+  return unsubscribe
+}
+
+// Collect listeners affected by a change at path: the path itself, its ancestors
+// and everything below it
+const collectListeners = (storeObj, path, result) => {
+  let node = storeObj.listenerTree
+
+  for (const key of path) {
+    node.listeners.forEach(listener => result.add(listener))
+    node = node.children.get(String(key))
+    if (!node) return result
+  }
+
+  const collectSubtree = subtree => {
+    subtree.listeners.forEach(listener => result.add(listener))
+    subtree.children.forEach(collectSubtree)
+  }
+  collectSubtree(node)
+
+  return result
+}
+
 // Create setState function
 const createSetState = (state, path) => {
   return nextValueOrUpdater => {
+    assertNotDisposed(state)
     const currentValue =
       path.length === 0 ? state.value : getValueAtPath(state.value, path)
 
+    // Updaters may return a new value or mutate a draft of the current one
     const nextValue =
       typeof nextValueOrUpdater === 'function' ?
-        nextValueOrUpdater(currentValue)
+        produce(currentValue, nextValueOrUpdater)
       : nextValueOrUpdater
 
-    if (deepEqual(nextValue, currentValue)) return
+    applyUpdate(state, path, nextValue)
+  }
+}
 
-    if (path.length === 0) {
-      state.value = nextValue
-    } else {
-      state.value = setValueAtPath(state.value, path, nextValue)
+// Run middleware and commit a new value at path. changedPaths lists the paths
+// whose subscribers should be notified; structural operations narrow it down.
+const applyUpdate = (state, path, nextValue, changedPaths = [path]) => {
+  assertNotDisposed(state)
+  const currentValue =
+    path.length === 0 ? state.value : getValueAtPath(state.value, path)
+
+  if (state.equals(nextValue, currentValue)) return
+
+  if (state.write) {
+    writeDerivedValue(state, path, nextValue)
+    return
+  }
+
+  const context = {
+    store: createStoreProxy(state),
+    path,
+    prev: currentValue,
+    next: nextValue,
+  }
+
+  runMiddleware(getMiddleware(state, path), context, () => {
+    // A rewritten value may change more than the operation described
+    const paths = context.next === nextValue ? changedPaths : [path]
+    commitValue(state, path, context.next, paths)
+  })
+}
+
+// Write a value at a path and notify subscribers
+const commitValue = (state, path, nextValue, changedPaths = [path]) => {
+  const currentValue =
+    path.length === 0 ? state.value : getValueAtPath(state.value, path)
+
+  // Middleware may have rewritten the value back to the current one
+  if (state.equals(nextValue, currentValue)) return
+
+  if (state.history) recordHistory(state.history, state.value)
+
+  if (path.length === 0) {
+    state.value = nextValue
+  } else {
+    state.value = setValueAtPath(state.value, path, nextValue)
+  }
+
+  emitChange(state, changedPaths)
+}
+
+// Structural operations on nested paths. Each one commits a new container value
+// and only notifies the keys or indices it actually changed.
+
+const describePath = path => (path.length > 0 ? path.join('.') : 'root')
+
+const readArray = (state, path, operation) => {
+  const value = getValueAtPath(state.value, path)
+  if (value === undefined) return []
+  if (!Array.isArray(value)) {
+    throw new TypeError(
+      `${operation}() requires an array at "${describePath(path)}".`
+    )
+  }
+  return value
+}
+
+// Paths of array indices from start (inclusive) to end (exclusive)
+const indexPaths = (path, start, end) => {
+  const paths = []
+  for (let i = start; i < end; i++) paths.push([...path, String(i)])
+  return paths
+}
+
+const deleteAtPath = (state, path) => {
+  if (path.length === 0) {
+    throw new Error('Cannot delete the root of a store. Use set() instead.')
+  }
+
+  const parentPath = path.slice(0, -1)
+  const key = path[path.length - 1]
+  const parent = getValueAtPath(state.value, parentPath)
+
+  if (Array.isArray(parent)) {
+    const index = Number(key)
+    if (!Number.isInteger(index) || index < 0 || index >= parent.length) return
+
+    const next = parent.slice()
+    next.splice(index, 1)
+    applyUpdate(state, parentPath, next, [
+      [...parentPath, 'length'],
+      ...indexPaths(parentPath, index, parent.length),
+    ])
+    return
+  }
+
+  if (
+    !parent ||
+    typeof parent !== 'object' ||
+    !Object.prototype.hasOwnProperty.call(parent, key)
+  ) {
+    return
+  }
+
+  const next = { ...parent }
+  delete next[key]
+  applyUpdate(state, parentPath, next, [path])
+}
+
+const pushAtPath = (state, path, items) => {
+  const array = readArray(state, path, 'push')
+  const next = [...array, ...items]
+
+  applyUpdate(state, path, next, [
+    [...path, 'length'],
+    ...indexPaths(path, array.length, next.length),
+  ])
+}
+
+const insertAtPath = (state, path, index, items) => {
+  const array = readArray(state, path, 'insert')
+  if (!Number.isInteger(index) || index < 0 || index > array.length) {
+    throw new RangeError(
+      `insert() index ${index} is out of bounds at "${describePath(path)}".`
+    )
+  }
+
+  const next = array.slice()
+  next.splice(index, 0, ...items)
+
+  applyUpdate(state, path, next, [
+    [...path, 'length'],
+    ...indexPaths(path, index, next.length),
+  ])
+}
+
+const moveAtPath = (state, path, from, to) => {
+  const array = readArray(state, path, 'move')
+  const inBounds = index =>
+    Number.isInteger(index) && index >= 0 && index < array.length
+  if (!inBounds(from) || !inBounds(to)) {
+    throw new RangeError(
+      `move() from ${from} to ${to} is out of bounds at "${describePath(path)}".`
+    )
+  }
+  if (from === to) return
+
+  const next = array.slice()
+  const [item] = next.splice(from, 1)
+  next.splice(to, 0, item)
+
+  applyUpdate(
+    state,
+    path,
+    next,
+    indexPaths(path, Math.min(from, to), Math.max(from, to) + 1)
+  )
+}
+
+const mergeAtPath = (state, path, partial) => {
+  const current = getValueAtPath(state.value, path)
+  if (
+    current != null &&
+    (typeof current !== 'object' || Array.isArray(current))
+  ) {
+    throw new TypeError(
+      `merge() requires an object at "${describePath(path)}".`
+    )
+  }
+
+  // Creating the object changes the path itself, even when partial is empty
+  const next = { ...current, ...partial }
+  const changedPaths =
+    current == null ? [path] : Object.keys(partial).map(key => [...path, key])
+  applyUpdate(state, path, next, changedPaths)
+}
+
+// Middleware registered for every store, in registration order
+const globalMiddleware = []
+
+// Register middleware that runs around every store update
+export const addMiddleware = middleware => {
+  globalMiddleware.push(middleware)
+
+  return () => {
+    const index = globalMiddleware.indexOf(middleware)
+    if (index !== -1) globalMiddleware.splice(index, 1)
+  }
+}
+
+// Register middleware on a store, scoped to updates that touch path
+const addStoreMiddleware = (storeObj, path, middleware) => {
+  if (!storeObj.middleware) storeObj.middleware = []
+
+  const entry = { path, middleware }
+  storeObj.middleware.push(entry)
+
+  return () => {
+    const index = storeObj.middleware.indexOf(entry)
+    if (index !== -1) storeObj.middleware.splice(index, 1)
+  }
+}
+
+// Check whether one path is an ancestor of (or equal to) the other
+const pathsOverlap = (a, b) => {
+  const length = Math.min(a.length, b.length)
+  for (let i = 0; i < length; i++) {
+    if (String(a[i]) !== String(b[i])) return false
+  }
+  return true
+}
+
+// Global middleware runs first, then middleware registered on the store
+const getMiddleware = (state, path) => {
+  const storeMiddleware = (state.middleware || [])
+    .filter(entry => pathsOverlap(entry.path, path))
+    .map(entry => scopeMiddleware(state, entry, path))
+
+  return [...globalMiddleware, ...storeMiddleware]
+}
+
+// Middleware registered below the updated path sees the update as a change to
+// its own path: prev and next are the values there, a rewritten next is written
+// back into the parent value, and updates that leave its path unchanged skip it
+const scopeMiddleware = (state, entry, path) => {
+  if (entry.path.length <= path.length) return entry.middleware
+
+  const relativePath = entry.path.slice(path.length)
+  return (context, commit) => {
+    const prev = getValueAtPath(context.prev, relativePath)
+    const next = getValueAtPath(context.next, relativePath)
+    if (state.equals(next, prev)) {
+      commit()
+      return
     }
 
-    state.listeners.forEach(listener => listener())
-
-    // Notify derived stores that depend on this store
-    if (dependencyMap.has(state)) {
-      dependencyMap.get(state).forEach(derivedStore => {
-        if (derivedStoreMap.has(derivedStore)) {
-          const derivedStoreObj = derivedStoreMap.get(derivedStore)
-
-          // Handle async derived stores differently
-          if (derivedStoreObj.isAsync) {
-            // For async derived stores, trigger the getter to check for changes
-            const simpleGet = createSimpleGet()
-            derivedStoreObj.getter(simpleGet)
-          } else {
-            const simpleGet = createSimpleGet()
-            computeDerivedValue(derivedStoreObj, simpleGet)
-          }
-        }
+    const scopedContext = { ...context, path: entry.path, prev, next }
+    entry.middleware(scopedContext, () => {
+      if (scopedContext.next !== next) {
+        context.next = setValueAtPath(
+          context.next,
+          relativePath,
+          scopedContext.next
+        )
+      }
+      commit()
+    })
+  }
+}
+
+// Run middleware in order. Each one calls commit() to continue the pipeline;
+// the last commit() writes the value. Not calling it vetoes the update.
+const runMiddleware = (middleware, context, commit) => {
+  let lastIndex = -1
+
+  const dispatch = index => {
+    if (index <= lastIndex) {
+      throw new Error('commit() called multiple times in store middleware')
+    }
+    lastIndex = index
+
+    if (index === middleware.length) {
+      commit()
+      return
+    }
+
+    middleware[index](context, () => dispatch(index + 1))
+  }
+
+  dispatch(0)
+}
+
+// Batching state: while batchDepth > 0, changed stores are queued instead of
+// notifying their listeners and dependents immediately
+let batchDepth = 0
+const pendingChanges = new Map()
+
+// Stores written through a batchAsync handle, counted per open batch holding
+// them. Their changes wait in heldChanges until every batch holding them has
+// settled, while other stores keep notifying. holdingStores collects the stores
+// a handle write changes, or is null outside one.
+const heldStores = new Map()
+const heldChanges = new Map()
+let holdingStores = null
+
+// Bumped on every change to any store. A derived store verified at the current
+// version is known to be up to date without re-checking its dependencies.
+let changeVersion = 0
+
+// Queue changes at store paths, flushing right away when not inside a batch
+const emitChange = (storeObj, paths = [[]]) => {
+  changeVersion++
+  if (holdingStores && !holdingStores.has(storeObj)) {
+    holdingStores.add(storeObj)
+    heldStores.set(storeObj, (heldStores.get(storeObj) || 0) + 1)
+  }
+
+  const changes = heldStores.has(storeObj) ? heldChanges : pendingChanges
+  if (!changes.has(storeObj)) changes.set(storeObj, [])
+  changes.get(storeObj).push(...paths)
+  if (batchDepth === 0) flushPendingChanges()
+}
+
+// Let go of stores held by a settled batchAsync. Changes to stores no other
+// batch holds are flushed together.
+const releaseStores = stores => {
+  stores.forEach(storeObj => {
+    const count = heldStores.get(storeObj) - 1
+    if (count > 0) {
+      heldStores.set(storeObj, count)
+      return
+    }
+
+    heldStores.delete(storeObj)
+    const paths = heldChanges.get(storeObj)
+    if (!paths) return
+    heldChanges.delete(storeObj)
+    if (!pendingChanges.has(storeObj)) pendingChanges.set(storeObj, [])
+    pendingChanges.get(storeObj).push(...paths)
+  })
+
+  if (batchDepth === 0) flushPendingChanges()
+}
+
+// Recompute dependents of all changed stores, then notify each affected
+// listener once
+const flushPendingChanges = () => {
+  const changedPaths = new Map()
+
+  batchDepth++
+  try {
+    while (pendingChanges.size > 0) {
+      const changes = [...pendingChanges]
+      pendingChanges.clear()
+
+      changes.forEach(([storeObj, paths]) => {
+        if (!changedPaths.has(storeObj)) changedPaths.set(storeObj, [])
+        changedPaths.get(storeObj).push(...paths)
       })
+
+      // Mark everything downstream as dirty and recompute it in topological
+      // order, so each derived store runs once and only sees settled inputs.
+      // Async stores that change later start a new round.
+      const dirty = collectDirtyStores(changes.map(([storeObj]) => storeObj))
+      sortTopologically(dirty).forEach(recomputeDependentStore)
+    }
+  } finally {
+    batchDepth--
+  }
+
+  // Each flush is one history entry, however many updates it contains
+  changedPaths.forEach((paths, storeObj) => {
+    if (storeObj.history) commitHistoryEntry(storeObj)
+  })
+
+  const listeners = new Set()
+  changedPaths.forEach((paths, storeObj) => {
+    paths.forEach(path => collectListeners(storeObj, path, listeners))
+  })
+  listeners.forEach(listener => listener())
+}
+
+// Collect the live derived stores downstream of the changed stores
+const collectDirtyStores = changedStores => {
+  const dirty = new Set()
+  const queue = [...changedStores]
+
+  while (queue.length > 0) {
+    dependencyMap.get(queue.shift())?.forEach(dependent => {
+      if (dirty.has(dependent)) return
+      dirty.add(dependent)
+      queue.push(dependent)
+    })
+  }
+
+  return dirty
+}
+
+// Order dirty stores so each one comes after every dirty store it reads
+const sortTopologically = dirty => {
+  const sorted = []
+  const visited = new Set()
+  const visiting = []
+
+  const visit = storeObj => {
+    const index = visiting.indexOf(storeObj)
+    if (index !== -1) throwCycleError([...visiting.slice(index), storeObj])
+    if (visited.has(storeObj)) return
+
+    visited.add(storeObj)
+    visiting.push(storeObj)
+    storeObj.dependencies.forEach((_, dependency) => {
+      if (dirty.has(dependency)) visit(dependency)
+    })
+    visiting.pop()
+    sorted.push(storeObj)
+  }
+  dirty.forEach(visit)
+
+  return sorted
+}
+
+// Re-run a derived store after one of its dependencies changed
+const recomputeDependentStore = dependentStore => {
+  if (!derivedStoreMap.has(dependentStore)) return
+
+  refreshDerivedStore(derivedStoreMap.get(dependentStore))
+}
+
+// Create undo/redo history for a store
+const createHistory = ({ limit = 100 } = {}) => ({
+  past: [],
+  future: [],
+  limit,
+  hasPending: false,
+  pending: undefined,
+  version: 0,
+  listeners: new Set(),
+})
+
+// Remember the value from before the first commit of the current flush
+const recordHistory = (history, previousValue) => {
+  if (history.hasPending) return
+  history.hasPending = true
+  history.pending = previousValue
+}
+
+const notifyHistory = history => {
+  history.version++
+  history.listeners.forEach(listener => listener())
+}
+
+// Turn the recorded value into an undo entry once its updates are flushed
+const commitHistoryEntry = storeObj => {
+  const history = storeObj.history
+  if (!history.hasPending) return
+
+  const previousValue = history.pending
+  history.hasPending = false
+  history.pending = undefined
+
+  if (storeObj.equals(previousValue, storeObj.value)) return
+
+  history.past.push(previousValue)
+  if (history.past.length > history.limit) history.past.shift()
+  history.future = []
+  notifyHistory(history)
+}
+
+// Move the store value between the undo and redo stacks. Restoring bypasses
+// middleware and is not recorded as a new entry.
+const travelHistory = (storeObj, from, to) => {
+  const history = storeObj.history
+  commitHistoryEntry(storeObj)
+  if (history[from].length === 0) return
+
+  history[to].push(storeObj.value)
+  storeObj.value = history[from].pop()
+  notifyHistory(history)
+  emitChange(storeObj)
+}
+
+const undoHistory = storeObj => travelHistory(storeObj, 'past', 'future')
+
+const redoHistory = storeObj => travelHistory(storeObj, 'future', 'past')
+
+const clearHistory = storeObj => {
+  const history = storeObj.history
+  history.past = []
+  history.future = []
+  history.hasPending = false
+  history.pending = undefined
+  notifyHistory(history)
+}
+
+// Restore the initial value at a path. Derived stores are recomputed instead.
+const resetStore = (storeObj, path) => {
+  if (storeObj.isDerived) {
+    if (!storeObj.isAsync) computeDerivedValue(storeObj)
+    return
+  }
+
+  const setStateFn = createSetState(storeObj, path)
+  setStateFn(getValueAtPath(storeObj.initialValue, path))
+}
+
+// Restore every store to its initial value and recompute derived stores
+export const resetAllStores = () => {
+  const storeObjs = []
+  storeRegistry.forEach(ref => {
+    const storeObj = ref.deref()
+    if (storeObj) storeObjs.push(storeObj)
+  })
+
+  batch(() => {
+    storeObjs
+      .filter(storeObj => !storeObj.isDerived)
+      .forEach(storeObj => resetStore(storeObj, []))
+  })
+
+  storeObjs
+    .filter(storeObj => storeObj.isDerived)
+    .forEach(storeObj => resetStore(storeObj, []))
+}
+
+// Release a store: detach it from the stores it reads, drop its listeners and
+// stop async work and pending persistence. Dependents recompute and get an error
+// for reading it, as do later reads, writes and subscriptions.
+const disposeStore = storeObj => {
+  if (storeObj.disposed) return
+  storeObj.disposed = true
+
+  if (storeObj.isDerived) {
+    storeObj.isLive = false
+    storeObj.dependencies.forEach((_, dependency) => {
+      unlinkDependency(dependency, storeObj)
+    })
+    storeObj.dependencies.clear()
+  }
+
+  storeObj.listeners.clear()
+  storeObj.listenerTree.children.clear()
+  storeObj.observerCount = 0
+  storeObj.onUnobserved = null
+
+  if (storeObj.cleanups) storeObj.cleanups.forEach(cleanup => cleanup())
+  storeObj.cleanups = null
+  unregisterStore(storeObj)
+
+  emitChange(storeObj)
+  dependencyMap.delete(storeObj)
+}
+
+// Read the values of an array or object of stores, keeping its shape
+const readSourceValues = (sources, get) =>
+  Array.isArray(sources) ?
+    sources.map(source => get(source))
+  : Object.fromEntries(
+      Object.entries(sources).map(([key, source]) => [key, get(source)])
+    )
+
+// Derive a store from several stores declared up front. read receives their
+// values in the same shape as sources and may return a promise, which makes an
+// async store, configured by passing options in place of write. write, if
+// given, receives a value written to the combined store and returns the new
+// source values keyed like sources; missing keys are left unchanged.
+// Like other derived stores, the combined store is lazy: read first runs on
+// the first read or subscription, and errors it throws are stored on the store.
+export const combine = (sources, read, write) => {
+  const readInput = get => readSourceValues(sources, get)
+  const asyncOptions = typeof write === 'function' ? {} : write
+
+  // Set once the first run returns a promise. The combined store then forwards
+  // an async store that reuses that run, and refetches through it.
+  let asyncStore = null
+  let isSync = false
+
+  const startAsyncStore = initialRun => {
+    asyncStore = createAsyncDerivedStore(
+      readInput,
+      read,
+      initialRun,
+      asyncOptions
+    )
+    const combinedStoreObj = getState(combinedStore)
+    addLoader(combinedStoreObj, [], () =>
+      refetchStore(getState(asyncStore), [])
+    )
+    onDispose(combinedStoreObj, () => disposeStore(getState(asyncStore)))
+  }
+
+  const combinedRead = get => {
+    if (asyncStore) return get(asyncStore)
+    if (isSync) return read(readInput(get))
+
+    const controller = new AbortController()
+    const value = read(readInput(get), { signal: controller.signal })
+    if (!(value instanceof Promise)) {
+      isSync = true
+      return value
+    }
+
+    startAsyncStore({ promise: value, controller })
+    return get(asyncStore)
+  }
+
+  const combinedStore =
+    typeof write === 'function' ?
+      store(combinedRead, (get, set, value) => {
+        const nextValues = write(value, readInput(get)) || {}
+        Object.keys(nextValues).forEach(key => {
+          set(sources[key], nextValues[key])
+        })
+      })
+    : store(combinedRead)
+
+  return combinedStore
+}
+
+// Check whether a value is a store proxy rather than a plain value
+const isStoreProxy = value =>
+  value !== null && typeof value === 'object' && stateMap.has(value._obj)
+
+// Create a function that returns one store per parameter. Equal parameters,
+// compared deeply, share a store. The factory may return an initial value, a
+// getter or a store (for example from .derive(), .async() or .local()).
+// maxSize keeps only the most recently used stores; disposeWhenUnobserved drops
+// a store once its last subscriber leaves.
+export const storeFamily = (create, options = {}) => {
+  const { maxSize = Infinity, disposeWhenUnobserved = false } = options
+
+  // Cached stores, least recently used first
+  const entries = []
+
+  const findEntry = param =>
+    entries.find(
+      entry => !entry.storeObj.disposed && deepEqual(entry.param, param)
+    )
+
+  // Stores the family created are disposed once nothing observes them, so
+  // async stores stop refetching when their sources change. Stores the factory
+  // only passed along may be used elsewhere and are left alone.
+  const evict = entry => {
+    const index = entries.indexOf(entry)
+    if (index === -1) return
+    entries.splice(index, 1)
+
+    const { storeObj } = entry
+    storeObj.onUnobserved = null
+    if (!entry.isOwned) return
+    if (storeObj.observerCount > 0) {
+      storeObj.onUnobserved = () => disposeStore(storeObj)
+    } else {
+      disposeStore(storeObj)
+    }
+  }
+
+  const family = param => {
+    const cached = findEntry(param)
+    if (cached) {
+      entries.splice(entries.indexOf(cached), 1)
+      entries.push(cached)
+      return cached.store
+    }
+
+    const [created, createdStores] = collectCreatedStores(() => create(param))
+    const familyStore = isStoreProxy(created) ? created : store(created)
+    const storeObj = getState(familyStore)
+    const entry = {
+      param,
+      store: familyStore,
+      storeObj,
+      isOwned: familyStore !== created || createdStores.has(storeObj),
+    }
+    entries.push(entry)
+
+    if (disposeWhenUnobserved) {
+      // Wait a tick, as components may unsubscribe and resubscribe right away
+      entry.storeObj.onUnobserved = () => {
+        queueMicrotask(() => {
+          if (entry.storeObj.observerCount > 0) return
+          evict(entry)
+        })
+      }
+    }
+
+    while (entries.length > maxSize) evict(entries[0])
+    return familyStore
+  }
+
+  family.remove = param => {
+    const entry = findEntry(param)
+    if (entry) evict(entry)
+  }
+
+  family.clear = () => {
+    entries.slice().forEach(evict)
+  }
+
+  return family
+}
+
+// Group several updates so listeners and derived stores are notified once
+export const batch = fn => {
+  batchDepth++
+  try {
+    return fn()
+  } finally {
+    batchDepth--
+    if (batchDepth === 0) flushPendingChanges()
+  }
+}
+
+// Async-safe batch. fn receives set(store, value), and the stores written
+// through it notify once, when fn settles, however many awaits apart the writes
+// are. Only those stores are held back: others keep notifying while fn awaits.
+// Writes made directly before the first await are batched as well.
+export const batchAsync = async fn => {
+  const held = new Set()
+  const set = (store, value) => {
+    const outer = holdingStores
+    holdingStores = held
+    try {
+      writeStoreValue(store, value)
+    } finally {
+      holdingStores = outer
     }
   }
+
+  try {
+    return await batch(() => fn(set))
+  } finally {
+    releaseStores(held)
+  }
 }
 
-// Create derived store from getter function
-const createDerivedStore = getter => {
+// Derived stores are lazy. They compute on first read and are only linked into
+// dependencyMap, and so recomputed on upstream changes, while something observes
+// them. An unobserved store checks on read whether any dependency changed since
+// it last computed.
+
+// Create derived store from getter function and optional write function
+const createDerivedStore = (getter, write, options = {}) => {
   const storeObj = {
     value: undefined,
-    listeners: new Set(),
+    ...createListeners(),
     isDerived: true,
+    name: options.name,
+    equals: resolveEquals(options.equals),
     getter,
-    dependencies: new Set(),
+    write: write || null,
+    dependencies: new Map(), // Dependency store -> paths read and their values
     lastComputedValue: undefined,
+    error: null, // Error thrown by the last run of the getter
+    throwOnError: options.throwOnError || false,
+    hasComputed: false,
+    verifiedVersion: -1,
+    isLive: false,
     baseStore: null, // Store reference to the base store proxy
   }
 
-  stateMap.set(storeObj, storeObj)
+  registerStore(storeObj)
   derivedStoreMap.set(storeObj, storeObj)
 
-  const get = store => {
-    const targetStoreObj = getState(store)
-    if (!targetStoreObj) {
-      throw new Error('Store not found')
+  return createStoreProxy(storeObj)
+}
+
+// Read the current value at a store proxy's path, bringing derived stores up
+// to date first
+const readStoreValue = store => {
+  const storeObj = getState(store)
+  if (!storeObj) {
+    throw new Error('Store not found')
+  }
+  assertNotDisposed(storeObj)
+
+  refetchStaleLoaders(storeObj)
+  if (storeObj.isDerived) refreshDerivedStore(storeObj)
+  return getValueAtPath(storeObj.value, store._path || [])
+}
+
+// Derived stores being brought up to date, innermost last. Reaching a store that
+// is already on the stack means it depends on itself.
+const refreshingStores = []
+
+const describeStore = storeObj => storeObj.name || 'unnamed store'
+
+// Report a dependency cycle, listed in read order: each store reads the next
+const throwCycleError = cycle => {
+  const names = cycle.map(describeStore).join(' -> ')
+  throw new Error(`Circular dependency between derived stores: ${names}`)
+}
+
+// Find a chain of reads leading from one store to another
+const findDependencyChain = (from, to, visited = new Set()) => {
+  if (from === to) return [from]
+  if (!from.isDerived || visited.has(from)) return null
+
+  visited.add(from)
+  for (const dependency of from.dependencies.keys()) {
+    const chain = findDependencyChain(dependency, to, visited)
+    if (chain) return [from, ...chain]
+  }
+  return null
+}
+
+// Create a get function that records what a derived store reads. Each read is
+// remembered by store and path along with the value seen there, so the store
+// only counts as stale when data it actually read changed.
+const createTrackingGet = derivedStoreObj => store => {
+  const value = readStoreValue(store)
+  const storeObj = getState(store)
+  const path = store._path || []
+
+  // Refuse to register a read that would close a loop
+  const chain = findDependencyChain(storeObj, derivedStoreObj)
+  if (chain) throwCycleError([derivedStoreObj, ...chain])
+
+  const reads = derivedStoreObj.dependencies.get(storeObj) || new Map()
+  reads.set(path.join('.'), { path, value })
+  derivedStoreObj.dependencies.set(storeObj, reads)
+  if (derivedStoreObj.isLive) linkDependency(storeObj, derivedStoreObj)
+
+  return value
+}
+
+const writeStoreValue = (store, nextValueOrUpdater) => {
+  store.set(nextValueOrUpdater)
+}
+
+// Hand a write to a writable derived store to its write function. Nested writes
+// are merged into the current value, so write always receives the whole next
+// value. Source updates are batched and notify once.
+const writeDerivedValue = (derivedStoreObj, path, nextValue) => {
+  const value =
+    path.length === 0 ?
+      nextValue
+    : setValueAtPath(derivedStoreObj.value, path, nextValue)
+
+  batch(() => derivedStoreObj.write(readStoreValue, writeStoreValue, value))
+}
+
+// Run a derived store's getter, collecting its dependencies afresh. Stores that
+// are newly read get linked as the getter reads them; live stores then unlink
+// from the ones the getter no longer reads.
+const runDerivedGetter = derivedStoreObj => {
+  const previousDependencies = [...derivedStoreObj.dependencies.keys()]
+  derivedStoreObj.dependencies.clear()
+
+  try {
+    return derivedStoreObj.getter(createTrackingGet(derivedStoreObj))
+  } finally {
+    if (derivedStoreObj.isLive) {
+      previousDependencies.forEach(dependency => {
+        if (!derivedStoreObj.dependencies.has(dependency)) {
+          unlinkDependency(dependency, derivedStoreObj)
+        }
+      })
+    }
+  }
+}
+
+// Check whether any value the derived store read changed since it last computed.
+// Updates keep the identity of untouched branches, so comparing by identity
+// ignores changes elsewhere in the same store.
+const dependenciesChanged = derivedStoreObj => {
+  for (const [storeObj, reads] of derivedStoreObj.dependencies) {
+    // Recompute so reading the disposed store surfaces as an error
+    if (storeObj.disposed) return true
+    if (storeObj.isDerived) refreshDerivedStore(storeObj)
+    for (const { path, value } of reads.values()) {
+      if (!Object.is(getValueAtPath(storeObj.value, path), value)) return true
     }
+  }
+  return false
+}
+
+// Bring a derived store up to date, recomputing only if it is stale
+const refreshDerivedStore = derivedStoreObj => {
+  const index = refreshingStores.indexOf(derivedStoreObj)
+  if (index !== -1) {
+    throwCycleError([...refreshingStores.slice(index), derivedStoreObj])
+  }
+
+  refreshingStores.push(derivedStoreObj)
+  try {
+    updateDerivedStore(derivedStoreObj)
+  } finally {
+    refreshingStores.pop()
+  }
+}
+
+const updateDerivedStore = derivedStoreObj => {
+  if (
+    derivedStoreObj.hasComputed &&
+    (derivedStoreObj.verifiedVersion === changeVersion ||
+      !dependenciesChanged(derivedStoreObj))
+  ) {
+    derivedStoreObj.verifiedVersion = changeVersion
+    return
+  }
+
+  if (derivedStoreObj.isAsync) {
+    // Async getters re-run their operation when the input changed
+    runDerivedGetter(derivedStoreObj)
+  } else {
+    computeDerivedValue(derivedStoreObj)
+  }
+  derivedStoreObj.verifiedVersion = changeVersion
+}
+
+// Register dependent as a dependent of storeObj, observing storeObj in turn
+const linkDependency = (storeObj, dependent) => {
+  if (!dependencyMap.has(storeObj)) {
+    dependencyMap.set(storeObj, new Set())
+  }
+
+  const dependents = dependencyMap.get(storeObj)
+  if (dependents.has(dependent)) return
+
+  dependents.add(dependent)
+  observeStore(storeObj)
+}
 
-    storeObj.dependencies.add(targetStoreObj)
+const unlinkDependency = (storeObj, dependent) => {
+  if (!dependencyMap.get(storeObj)?.delete(dependent)) return
+  unobserveStore(storeObj)
+}
+
+// Count an observer of a store. The first one brings a derived store up to date
+// and links it to its dependencies. Invalidated async data is refetched and
+// polling resumes.
+const observeStore = storeObj => {
+  storeObj.observerCount++
+  refetchStaleLoaders(storeObj)
+  resumePolling(storeObj)
+  if (!storeObj.isDerived || storeObj.isLive) return
+
+  storeObj.isLive = true
+  refreshDerivedStore(storeObj)
+  storeObj.dependencies.forEach((_, dependency) => {
+    linkDependency(dependency, storeObj)
+  })
+}
 
-    if (!dependencyMap.has(targetStoreObj)) {
-      dependencyMap.set(targetStoreObj, new Set())
+// Drop an observer. Once the last one is gone polling pauses, and the store
+// detaches from its dependencies and stops recomputing until it is read or
+// observed again.
+const unobserveStore = storeObj => {
+  // Disposing already dropped every observer
+  if (storeObj.disposed) return
+
+  storeObj.observerCount--
+  if (storeObj.observerCount > 0) return
+
+  pausePolling(storeObj)
+  if (storeObj.onUnobserved) storeObj.onUnobserved()
+  if (!storeObj.isDerived || storeObj.keepAlive) return
+
+  storeObj.isLive = false
+  storeObj.dependencies.forEach((_, dependency) => {
+    unlinkDependency(dependency, storeObj)
+  })
+}
+
+// Stale-while-revalidate states are recognised by their shape rather than by
+// identity, so copies made by persistence, spreads or draft updates still
+// count. Payloads with loading or error keys lack this shape.
+const asyncStatuses = new Set(['loading', 'success', 'error'])
+
+const isAsyncState = value =>
+  value !== null &&
+  typeof value === 'object' &&
+  asyncStatuses.has(value.status) &&
+  typeof value.isFetching === 'boolean'
+
+// A request is running, on its given attempt. Data from earlier requests stays
+// available.
+const fetchingState = (previous, attempt = 1) =>
+  isAsyncState(previous) ?
+    { ...previous, isFetching: true, attempt }
+  : {
+      status: 'loading',
+      data: undefined,
+      error: null,
+      isFetching: true,
+      updatedAt: null,
+      attempt,
     }
-    dependencyMap.get(targetStoreObj).add(storeObj)
 
-    return targetStoreObj.value
+// The value of an async store while a request runs on the given attempt.
+// Stores that retry show the attempt on every attempt, including the first.
+const loadingState = (options, previous, attempt = 1) =>
+  options.swr ? fetchingState(previous, attempt)
+  : options.retry ? { loading: true, attempt }
+  : { loading: true }
+
+const successState = (previous, data) => ({
+  status: 'success',
+  data,
+  error: null,
+  isFetching: false,
+  updatedAt: Date.now(),
+  attempt: isAsyncState(previous) ? previous.attempt : 1,
+})
+
+// The request failed. The last successful data and its time are kept.
+const errorState = (previous, error) => ({
+  status: 'error',
+  data: isAsyncState(previous) ? previous.data : undefined,
+  error,
+  isFetching: false,
+  updatedAt: isAsyncState(previous) ? previous.updatedAt : null,
+  attempt: isAsyncState(previous) ? previous.attempt : 1,
+})
+
+// Exponential backoff after the given failed attempt: 1s, 2s, 4s... up to 30s
+const defaultRetryDelay = attempt => Math.min(1000 * 2 ** (attempt - 1), 30000)
+
+// Wait before a retry, rejecting early if the request is aborted
+const waitForRetry = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timeout = setTimeout(resolve, ms)
+    signal.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timeout)
+        reject(signal.reason)
+      },
+      { once: true }
+    )
+  })
+
+// Call request(attempt) until it succeeds or the retry, retryDelay and retryIf
+// options give up. onRetry is called with the number of each new attempt before
+// it starts. Aborting signal cancels pending retries.
+const requestWithRetry = (request, signal, options, onRetry) => {
+  const {
+    retry = 0,
+    retryDelay = defaultRetryDelay,
+    retryIf = () => true,
+  } = options
+
+  const attempt = number =>
+    request(number).catch(error => {
+      if (signal.aborted || number > retry || !retryIf(error)) throw error
+
+      const delay =
+        typeof retryDelay === 'function' ? retryDelay(number) : retryDelay
+      return waitForRetry(delay, signal).then(() => {
+        onRetry(number + 1)
+        return attempt(number + 1)
+      })
+    })
+
+  return attempt(1)
+}
+
+// Rerun poll every refreshInterval ms, counted from when the last request
+// settled, so polls never overlap a request. Polling pauses while the store has
+// no observers and, with pauseWhenHidden, while the document is hidden. Returns
+// null without a refreshInterval.
+const createPoller = (storeObj, options, poll) => {
+  const { refreshInterval, pauseWhenHidden } = options
+  if (!refreshInterval) return null
+
+  const watchesVisibility = pauseWhenHidden && typeof document !== 'undefined'
+  let timeout = null
+  let isRequesting = false
+  let settledAt = 0
+
+  const isActive = () =>
+    !storeObj.disposed &&
+    !isRequesting &&
+    storeObj.observerCount > 0 &&
+    !(watchesVisibility && document.hidden)
+
+  const pause = () => {
+    clearTimeout(timeout)
+    timeout = null
   }
 
-  const computeValue = () => {
-    try {
-      storeObj.dependencies.clear()
-      const newValue = getter(get)
-      storeObj.lastComputedValue = newValue
-      return newValue
-    } catch (error) {
-      console.error('Error computing derived store value:', error)
-      return storeObj.lastComputedValue
+  // Polls right away if the interval ran out while paused
+  const resume = () => {
+    if (timeout || !isActive()) return
+    const delay = Math.max(refreshInterval - (Date.now() - settledAt), 0)
+    timeout = setTimeout(() => {
+      timeout = null
+      poll()
+    }, delay)
+  }
+
+  const onVisibilityChange = () => (document.hidden ? pause() : resume())
+  if (watchesVisibility) {
+    document.addEventListener('visibilitychange', onVisibilityChange)
+  }
+  onDispose(storeObj, () => {
+    pause()
+    if (watchesVisibility) {
+      document.removeEventListener('visibilitychange', onVisibilityChange)
     }
+  })
+
+  return {
+    pause,
+    resume,
+    // Every request restarts the interval once it settles
+    requestStarted: () => {
+      isRequesting = true
+      pause()
+    },
+    requestSettled: () => {
+      isRequesting = false
+      settledAt = Date.now()
+      resume()
+    },
   }
+}
 
-  storeObj.value = computeValue()
+// Register a rerunnable async operation at a path of a store. run() starts it
+// again and returns a promise that settles once its result is written. poller,
+// if any, reruns it on an interval while the store is observed.
+const addLoader = (storeObj, path, run, poller = null) => {
+  if (!storeObj.loaders) storeObj.loaders = new Map()
+  storeObj.loaders.set(path.join('.'), { run, stale: false, poller })
+}
 
-  return createStoreProxy(storeObj)
+// The loader registered at path or the nearest path above it
+const findLoader = (storeObj, path) => {
+  for (let i = path.length; i >= 0; i--) {
+    const loader = storeObj.loaders?.get(path.slice(0, i).join('.'))
+    if (loader) return loader
+  }
+  throw new Error(
+    'Cannot refetch a store without an async operation. Use .async() or an async .derive().'
+  )
+}
+
+const refetchStore = (storeObj, path) => {
+  const loader = findLoader(storeObj, path)
+  loader.stale = false
+  return loader.run()
+}
+
+// Mark async data stale. Observed stores refetch right away, others on their
+// next read or subscription.
+const invalidateStore = (storeObj, path) => {
+  const loader = findLoader(storeObj, path)
+  if (storeObj.observerCount > 0) {
+    refetchStore(storeObj, path)
+  } else {
+    loader.stale = true
+  }
+}
+
+const resumePolling = storeObj => {
+  storeObj.loaders?.forEach(loader => loader.poller?.resume())
+}
+
+const pausePolling = storeObj => {
+  storeObj.loaders?.forEach(loader => loader.poller?.pause())
+}
+
+const refetchStaleLoaders = storeObj => {
+  storeObj.loaders?.forEach(loader => {
+    if (!loader.stale) return
+    loader.stale = false
+    loader.run()
+  })
 }
 
-// Create async derived store that handles async operations
-const createAsyncDerivedStore = (target, asyncFn) => {
-  const asyncStoreObj = createAsyncStoreObject(asyncFn)
+// Load the result of asyncFn into a path of a plain store. A run started while
+// another is in flight aborts it, so only the latest result is written. With the
+// swr option the path holds an async state instead of the bare result. Failed
+// requests are retried as the retry options allow, and refreshInterval polls.
+const loadAsync = (storeObj, path, asyncFn, options = {}) => {
+  let controller = null
+  onDispose(storeObj, () => {
+    if (controller) controller.abort()
+  })
+
+  const run = () => {
+    if (controller) controller.abort()
+    const current = new AbortController()
+    controller = current
+    if (poller) poller.requestStarted()
+    const isCurrent = () => controller === current && !storeObj.disposed
+    const setStateFn = createSetState(getState(storeObj), path)
+    const readCurrent = () => getValueAtPath(storeObj.value, path)
+    // Without swr or retry the current value stays in place while loading
+    const showAttempt = attempt => {
+      if (options.swr || options.retry) {
+        setStateFn(loadingState(options, readCurrent(), attempt))
+      }
+    }
+    showAttempt(1)
+
+    return requestWithRetry(
+      () => asyncFn({ signal: current.signal }),
+      current.signal,
+      options,
+      showAttempt
+    )
+      .then(result => {
+        if (!isCurrent()) return
+        controller = null
+        setStateFn(options.swr ? successState(readCurrent(), result) : result)
+        if (poller) poller.requestSettled()
+      })
+      .catch(error => {
+        if (!isCurrent()) return
+        controller = null
+        if (poller) poller.requestSettled()
+        console.error('Async store operation failed:', error)
+        setStateFn(
+          options.swr ?
+            errorState(readCurrent(), error)
+          : {
+              error: true,
+              message: error.message || 'An error occurred',
+              status: error.status || 'error',
+              originalError: error,
+            }
+        )
+      })
+  }
+
+  const poller = createPoller(storeObj, options, run)
+  addLoader(storeObj, path, run, poller)
+  run()
+}
+
+// Create async derived store that handles async operations. readInput reads the
+// input from other stores with get, and asyncFn re-runs whenever it changes.
+// initialRun is a call to asyncFn already made for the current input, along
+// with the controller whose signal it was given.
+const createAsyncDerivedStore = (
+  readInput,
+  asyncFn,
+  initialRun,
+  asyncOptions = {}
+) => {
+  const asyncStoreObj = createAsyncStoreObject(asyncFn, asyncOptions)
   const runAsyncOperation = createAsyncOperationRunner(asyncStoreObj, asyncFn)
 
-  stateMap.set(asyncStoreObj, asyncStoreObj)
+  // Disposing cancels the run in flight
+  onDispose(asyncStoreObj, () => {
+    if (asyncStoreObj.controller) asyncStoreObj.controller.abort()
+  })
+  const rerun = () => runAsyncOperation(asyncStoreObj.lastInputValue)
+  asyncStoreObj.poller = createPoller(asyncStoreObj, asyncOptions, rerun)
+  addLoader(asyncStoreObj, [], rerun, asyncStoreObj.poller)
+
+  registerStore(asyncStoreObj)
   derivedStoreMap.set(asyncStoreObj, asyncStoreObj)
 
   // Override the getter to re-run async operation when dependencies change
   asyncStoreObj.getter = get => {
-    const currentInputValue = target.getter(get)
+    const currentInputValue = readInput(get)
 
     if (!deepEqual(currentInputValue, asyncStoreObj.lastInputValue)) {
       asyncStoreObj.lastInputValue = currentInputValue
@@ -215,115 +1590,150 @@ const createAsyncDerivedStore = (target, asyncFn) => {
     return asyncStoreObj.value
   }
 
-  // Set up dependency tracking with the original derived store
-  setupDependencyTracking(target, asyncStoreObj)
-
-  // Start the initial async operation
-  const initialInputValue = target.getter(createSimpleGet())
+  // Start the initial async operation, tracking the stores the input reads
+  const initialInputValue = readInput(createTrackingGet(asyncStoreObj))
   asyncStoreObj.lastInputValue = initialInputValue
-  runAsyncOperation(initialInputValue)
+  runAsyncOperation(initialInputValue, initialRun)
 
   return createStoreProxy(asyncStoreObj)
 }
 
-// Create a simple get function for store access
-const createSimpleGet = () => store => {
-  const storeObj = getState(store)
-  return storeObj.value
-}
-
-// Set up dependency tracking between stores
-const setupDependencyTracking = (sourceStore, targetStore) => {
-  if (!dependencyMap.has(sourceStore)) {
-    dependencyMap.set(sourceStore, new Set())
-  }
-  dependencyMap.get(sourceStore).add(targetStore)
-}
-
 // Create an async store object with common properties
-const createAsyncStoreObject = asyncFn => ({
-  value: { loading: true },
-  listeners: new Set(),
+const createAsyncStoreObject = (asyncFn, asyncOptions) => ({
+  value: loadingState(asyncOptions),
+  ...createListeners(),
   isDerived: true,
   isAsync: true,
+  equals: deepEqual,
   getter: get => ({ loading: true }),
-  dependencies: new Set(),
+  dependencies: new Map(),
   lastComputedValue: undefined,
+  error: null,
+  throwOnError: false,
+  // Async stores start their request right away and stay live
+  hasComputed: true,
+  verifiedVersion: -1,
+  isLive: true,
+  keepAlive: true,
   asyncFn,
+  asyncOptions,
   isRunning: false,
+  controller: null,
+  poller: null,
   lastInputValue: undefined,
 })
 
-// Create async operation runner
+// Create async operation runner. The latest input always wins: starting a run
+// aborts the one in flight, and results from superseded runs are dropped. A run
+// that already started ({ promise, controller }) can be passed in instead of
+// calling derivedFn again. Failed runs are retried as the store's async options
+// allow. Returns a promise that settles once the run does.
 const createAsyncOperationRunner = (asyncStoreObj, derivedFn) => {
-  return inputValue => {
-    if (asyncStoreObj.isRunning) return
+  const { asyncOptions } = asyncStoreObj
+  const { swr } = asyncOptions
 
+  return (inputValue, initialRun) => {
+    if (asyncStoreObj.controller) asyncStoreObj.controller.abort()
+
+    const controller = initialRun?.controller || new AbortController()
+    asyncStoreObj.controller = controller
     asyncStoreObj.isRunning = true
-    asyncStoreObj.value = { loading: true }
-    asyncStoreObj.listeners.forEach(listener => listener())
+    if (asyncStoreObj.poller) asyncStoreObj.poller.requestStarted()
+    asyncStoreObj.value = loadingState(asyncOptions, asyncStoreObj.value)
+    emitChange(asyncStoreObj)
+
+    const promise = requestWithRetry(
+      attempt =>
+        attempt === 1 && initialRun ?
+          initialRun.promise
+        : derivedFn(inputValue, { signal: controller.signal }),
+      controller.signal,
+      asyncOptions,
+      attempt => {
+        asyncStoreObj.value = loadingState(
+          asyncOptions,
+          asyncStoreObj.value,
+          attempt
+        )
+        emitChange(asyncStoreObj)
+      }
+    )
+    const isCurrent = () =>
+      asyncStoreObj.controller === controller && !asyncStoreObj.disposed
+
+    const settle = value => {
+      asyncStoreObj.value = value
+      asyncStoreObj.lastComputedValue = value
+      asyncStoreObj.controller = null
+      asyncStoreObj.isRunning = false
+      emitChange(asyncStoreObj)
+      if (asyncStoreObj.poller) asyncStoreObj.poller.requestSettled()
+    }
 
-    derivedFn(inputValue)
+    return promise
       .then(result => {
-        asyncStoreObj.value = result
-        asyncStoreObj.lastComputedValue = result
-        asyncStoreObj.isRunning = false
-        asyncStoreObj.listeners.forEach(listener => listener())
-        notifyDependentStores(asyncStoreObj, createSimpleGet())
+        if (!isCurrent()) return
+        settle(swr ? successState(asyncStoreObj.value, result) : result)
       })
       .catch(error => {
-        asyncStoreObj.value = {
-          error: true,
-          message: error.message || 'An error occurred',
-          status: error.status || 'error',
-        }
-        asyncStoreObj.lastComputedValue = asyncStoreObj.value
-        asyncStoreObj.isRunning = false
-        asyncStoreObj.listeners.forEach(listener => listener())
-        notifyDependentStores(asyncStoreObj, createSimpleGet())
+        if (!isCurrent()) return
+        settle(
+          swr ?
+            errorState(asyncStoreObj.value, error)
+          : {
+              error: true,
+              message: error.message || 'An error occurred',
+              status: error.status || 'error',
+            }
+        )
       })
   }
 }
 
-// Notify dependent derived stores of a store update
-function notifyDependentStores(storeObj, get) {
-  if (dependencyMap.has(storeObj)) {
-    dependencyMap.get(storeObj).forEach(dependentStore => {
-      if (derivedStoreMap.has(dependentStore)) {
-        const dependentStoreObj = derivedStoreMap.get(dependentStore)
-        // Only notify non-async derived stores to avoid circular dependencies
-        if (!dependentStoreObj.isAsync) {
-          computeDerivedValue(dependentStoreObj, get)
-        }
-      }
-    })
-  }
-}
+// Compute derived store value and handle dependency updates. A getter that
+// throws keeps the last value and records the error on the store until a later
+// run succeeds.
+function computeDerivedValue(derivedStoreObj) {
+  derivedStoreObj.hasComputed = true
 
-// Compute derived store value and handle dependency updates
-function computeDerivedValue(derivedStoreObj, get) {
+  let newValue
   try {
-    const newValue = derivedStoreObj.getter(get)
-
-    if (!deepEqual(newValue, derivedStoreObj.lastComputedValue)) {
-      derivedStoreObj.value = newValue
-      derivedStoreObj.lastComputedValue = newValue
+    newValue = runDerivedGetter(derivedStoreObj)
+  } catch (error) {
+    derivedStoreObj.error = error
+    emitChange(derivedStoreObj)
+    return derivedStoreObj.lastComputedValue
+  }
 
-      derivedStoreObj.listeners.forEach(listener => listener())
+  const hadError = derivedStoreObj.error !== null
+  derivedStoreObj.error = null
 
-      // Notify other derived stores that depend on this one
-      const simpleGet = store => {
-        const storeObj = getState(store)
-        return storeObj.value
-      }
-      notifyDependentStores(derivedStoreObj, simpleGet)
-    }
+  if (!derivedStoreObj.equals(newValue, derivedStoreObj.lastComputedValue)) {
+    derivedStoreObj.value = newValue
+    derivedStoreObj.lastComputedValue = newValue
 
-    return newValue
-  } catch (error) {
-    console.error('Error computing derived store value:', error)
-    return derivedStoreObj.lastComputedValue
+    // Notify listeners and other derived stores that depend on this one
+    emitChange(derivedStoreObj)
+  } else if (hadError) {
+    // Let error subscribers know the store recovered
+    emitChange(derivedStoreObj)
   }
+
+  return newValue
+}
+
+// Record a getter run made before the derived store existed as its first
+// computation: the value it returned and the value it read from store
+const seedDerivedValue = (derivedStoreObj, value, store, input) => {
+  const path = store._path || []
+  derivedStoreObj.dependencies.set(
+    getState(store),
+    new Map([[path.join('.'), { path, value: input }]])
+  )
+  derivedStoreObj.value = value
+  derivedStoreObj.lastComputedValue = value
+  derivedStoreObj.hasComputed = true
+  derivedStoreObj.verifiedVersion = changeVersion
 }
 
 // Create store proxy with nested property access
@@ -344,18 +1754,29 @@ function createStoreProxy(storeObj, path = []) {
     get(target, prop) {
       if (prop === '_path') return path
       if (prop === '_obj') return storeObj
+
+      if (prop === 'dispose') return () => disposeStore(target)
+      if (target.disposed && storeOperations.has(prop)) {
+        assertNotDisposed(target)
+      }
       if (prop === 'value' || prop === 'listeners') return target[prop]
       if (prop === 'isDerived') return target.isDerived || false
 
+      // Derived stores expose the error from their last computation
+      if (prop === 'error' && target.isDerived && path.length === 0) {
+        refreshDerivedStore(target)
+        return target.error
+      }
+
       if (prop === 'get') {
         return () => {
+          refetchStaleLoaders(target)
           if (target.isDerived) {
-            const newValue = computeDerivedValue(target, store => {
-              const storeObj = getState(store)
-              return storeObj.value
-            })
+            refreshDerivedStore(target)
             // For derived stores, we need to extract the nested value from the computed result
-            return path.length > 0 ? getValueAtPath(newValue, path) : newValue
+            return path.length > 0 ?
+                getValueAtPath(target.value, path)
+              : target.value
           }
           const state = getState(storeObj)
           return path.length > 0 ?
@@ -366,34 +1787,80 @@ function createStoreProxy(storeObj, path = []) {
 
       if (prop === 'set') {
         return data => {
+          const setStateFn = createSetState(...getWriteTarget(target, path))
+          setStateFn(data)
+        }
+      }
+
+      if (prop === 'delete') {
+        return () => deleteAtPath(...getWriteTarget(target, path))
+      }
+
+      if (prop === 'push') {
+        return (...items) => pushAtPath(...getWriteTarget(target, path), items)
+      }
+
+      if (prop === 'insert') {
+        return (index, ...items) =>
+          insertAtPath(...getWriteTarget(target, path), index, items)
+      }
+
+      if (prop === 'move') {
+        return (from, to) =>
+          moveAtPath(...getWriteTarget(target, path), from, to)
+      }
+
+      if (prop === 'merge') {
+        return partial => mergeAtPath(...getWriteTarget(target, path), partial)
+      }
+
+      if (prop === 'reset') {
+        return () => resetStore(storeObj, path)
+      }
+
+      if (prop === 'refetch') {
+        return () => refetchStore(target, path)
+      }
+
+      if (prop === 'invalidate') {
+        return () => invalidateStore(target, path)
+      }
+
+      // Only the root enables history, so nested paths can hold a history key
+      if (prop === 'history' && path.length === 0) {
+        return options => {
           if (target.isDerived) {
-            // For derived stores, we need to find the base store and update it
-            // We need to update the base store that this derived store depends on
-            const baseStore = findBaseStore(target)
-            if (baseStore) {
-              const baseState = getState(baseStore)
-              const setStateFn = createSetState(baseState, path)
-              setStateFn(data)
-            } else {
-              throw new Error(
-                'Cannot set value on derived store. Derived stores are read-only.'
-              )
-            }
-          } else {
-            const state = getState(storeObj)
-            const setStateFn = createSetState(state, path)
-            setStateFn(data)
+            throw new Error('History is not supported on derived stores.')
           }
+          storeObj.history = createHistory(options)
+          return createStoreProxy(storeObj)
         }
       }
 
+      // History controls are available on the root of stores with history
+      if (path.length === 0 && target.history) {
+        if (prop === 'undo') return () => undoHistory(storeObj)
+        if (prop === 'redo') return () => redoHistory(storeObj)
+        if (prop === 'clear') return () => clearHistory(storeObj)
+        if (prop === 'canUndo') return target.history.past.length > 0
+        if (prop === 'canRedo') return target.history.future.length > 0
+      }
+
+      if (prop === 'addMiddleware') {
+        return middleware => addStoreMiddleware(storeObj, path, middleware)
+      }
+
+      if (prop === 'subscribe') {
+        return listener => subscribeToValue(storeObj, path, listener)
+      }
+
       if (prop === 'local') {
         return key => {
           const currentValue =
             path.length > 0 ?
               getValueAtPath(storeObj.value, path)
             : storeObj.value
-          return createStorageStore('local', key, currentValue)
+          return createStorageStore('local', key, currentValue, target.equals)
         }
       }
 
@@ -403,92 +1870,66 @@ function createStoreProxy(storeObj, path = []) {
             path.length > 0 ?
               getValueAtPath(storeObj.value, path)
             : storeObj.value
-          return createStorageStore('session', key, currentValue)
+          return createStorageStore('session', key, currentValue, target.equals)
         }
       }
 
       if (prop === 'derive') {
-        return derivedFn => {
-          // Check if the derived function is async by testing it
-          const testGet = store => {
-            const storeObj = getState(store)
-            return storeObj.value
-          }
-          const testValue = derivedFn(testGet(proxy))
-
-          // If the derived function returns a Promise, create async store directly
+        return (derivedFn, write) => {
+          // Async derived functions take options in place of write
+          const asyncOptions = typeof write === 'function' ? {} : write
+
+          // Check if the derived function is async by testing it. A sync
+          // result is kept as the derived store's first computation; a throw
+          // is left for the first read to store as the error.
+          const controller = new AbortController()
+          const input = readStoreValue(proxy)
+          let testValue
+          let hasTestValue = false
+          try {
+            testValue = derivedFn(input, { signal: controller.signal })
+            hasTestValue = true
+          } catch {}
+
+          // If the derived function returns a Promise, create async store
+          // directly, reusing the test call as its first run
           if (testValue instanceof Promise) {
-            const asyncStoreObj = createAsyncStoreObject(derivedFn)
-            const runAsyncOperation = createAsyncOperationRunner(
-              asyncStoreObj,
-              derivedFn
+            return createAsyncDerivedStore(
+              get => get(proxy),
+              derivedFn,
+              { promise: testValue, controller },
+              asyncOptions
             )
-
-            stateMap.set(asyncStoreObj, asyncStoreObj)
-            derivedStoreMap.set(asyncStoreObj, asyncStoreObj)
-
-            // Override the getter to re-run async operation when dependencies change
-            asyncStoreObj.getter = get => {
-              const currentInputValue = get(proxy)
-
-              if (!deepEqual(currentInputValue, asyncStoreObj.lastInputValue)) {
-                asyncStoreObj.lastInputValue = currentInputValue
-                runAsyncOperation(currentInputValue)
-              }
-
-              return asyncStoreObj.value
-            }
-
-            // Set up dependency tracking
-            setupDependencyTracking(storeObj, asyncStoreObj)
-
-            // Start the initial async operation
-            const initialInputValue = getState(proxy).value
-            asyncStoreObj.lastInputValue = initialInputValue
-            runAsyncOperation(initialInputValue)
-
-            return createStoreProxy(asyncStoreObj)
           }
 
           // Create a regular derived store that depends on this store
-          const derivedStore = store(get => {
-            const currentValue = get(proxy)
-            return derivedFn(currentValue)
-          })
-
-          // Set up dependency tracking
+          const read = get => derivedFn(get(proxy))
+          const derivedStore =
+            typeof write === 'function' ? store(read, write) : store(read)
           const derivedStoreObj = getState(derivedStore)
-          derivedStoreObj.baseStore = proxy // Store reference to the base store
-          setupDependencyTracking(storeObj, derivedStoreObj)
+          if (hasTestValue) {
+            seedDerivedValue(derivedStoreObj, testValue, proxy, input)
+          }
+          if (typeof write !== 'function') {
+            derivedStoreObj.baseStore = proxy // Store reference to the base store
+          }
 
           return derivedStore
         }
       }
 
       if (prop === 'async') {
-        return asyncFn => {
+        return (asyncFn, options) => {
           if (target.isDerived) {
-            return createAsyncDerivedStore(target, asyncFn)
+            return createAsyncDerivedStore(
+              target.getter,
+              asyncFn,
+              undefined,
+              options
+            )
           }
 
-          asyncFn()
-            .then(result => {
-              const state = getState(storeObj)
-              const setStateFn = createSetState(state, path)
-              setStateFn(result)
-            })
-            .catch(error => {
-              console.error('Async store operation failed:', error)
-              const state = getState(storeObj)
-              const setStateFn = createSetState(state, path)
-              setStateFn({
-                error: true,
-                message: error.message || 'An error occurred',
-                status: error.status || 'error',
-                originalError: error,
-              })
-            })
-
+          loadAsync(storeObj, path, asyncFn, options)
           return proxy
         }
       }
@@ -524,14 +1965,23 @@ const useSubscribe = store => {
   const state = getState(store)
 
   return useCallback(
-    callback => {
-      state.listeners.add(callback)
-      return () => state.listeners.delete(callback)
-    },
-    [state]
+    callback => subscribeAtPath(state, store._path || [], callback),
+    [state, store]
   )
 }
 
+// Read the current value at a store's path, bringing lazy derived stores up to
+// date first. Derived stores created with throwOnError rethrow their error here,
+// during render, so error boundaries can catch it.
+const readSnapshot = store => {
+  const state = getState(store)
+  assertNotDisposed(state)
+  if (state.isDerived) refreshDerivedStore(state)
+  if (state.error && state.throwOnError) throw state.error
+  const path = store._path || []
+  return path.length > 0 ? getValueAtPath(state.value, path) : state.value
+}
+
 const useSetState = (state, path) => {
   return useMemo(() => {
     return nextValueOrUpdater => {
@@ -544,11 +1994,7 @@ const useSetState = (state, path) => {
 // Main React hook for using stores
 export const useStore = store => {
   const subscribe = useSubscribe(store)
-  const getSnapshot = useCallback(() => {
-    const state = getState(store)
-    const path = store._path || []
-    return path.length > 0 ? getValueAtPath(state.value, path) : state.value
-  }, [store])
+  const getSnapshot = useCallback(() => readSnapshot(store), [store])
 
   const value = useSyncExternalStore(subscribe, getSnapshot)
   const setValue = useSetState(getState(store), store._path || [])
@@ -559,11 +2005,7 @@ export const useStore = store => {
 // Individual hooks for getting just the value or setter
 export const useStoreValue = store => {
   const subscribe = useSubscribe(store)
-  const getSnapshot = useCallback(() => {
-    const state = getState(store)
-    const path = store._path || []
-    return path.length > 0 ? getValueAtPath(state.value, path) : state.value
-  }, [store])
+  const getSnapshot = useCallback(() => readSnapshot(store), [store])
 
   return useSyncExternalStore(subscribe, getSnapshot)
 }
@@ -572,23 +2014,117 @@ export const useStoreSetter = store => {
   return useSetState(getState(store), store._path || [])
 }
 
+// Stable callback that reruns a store's async operation
+export const useRefetch = store => {
+  return useCallback(() => store.refetch(), [store])
+}
+
+// The error thrown by a derived store's last computation, or null. Re-renders
+// when the error appears or clears.
+export const useStoreError = store => {
+  const state = getState(store)
+  const subscribe = useSubscribe(store)
+  const getSnapshot = useCallback(() => {
+    if (state.isDerived) refreshDerivedStore(state)
+    return state.error || null
+  }, [state])
+
+  return useSyncExternalStore(subscribe, getSnapshot)
+}
+
+// Undo/redo controls for a store created with .history(), re-rendering when
+// canUndo or canRedo change
+export const useHistory = store => {
+  const storeObj = getState(store)
+  const history = storeObj.history
+
+  if (!history) {
+    throw new Error(
+      'useHistory requires a store with history. Use store(value).history().'
+    )
+  }
+
+  const subscribe = useCallback(
+    callback => {
+      history.listeners.add(callback)
+      return () => history.listeners.delete(callback)
+    },
+    [history]
+  )
+  const getSnapshot = useCallback(() => history.version, [history])
+  const version = useSyncExternalStore(subscribe, getSnapshot)
+
+  return useMemo(
+    () => ({
+      undo: () => undoHistory(storeObj),
+      redo: () => redoHistory(storeObj),
+      clear: () => clearHistory(storeObj),
+      canUndo: history.past.length > 0,
+      canRedo: history.future.length > 0,
+    }),
+    [storeObj, history, version]
+  )
+}
+
+// Subscribe to a computed slice of a store, re-rendering only when the
+// selected value changes according to isEqual
+export const useStoreSelector = (store, selector, isEqual = deepEqual) => {
+  const subscribe = useSubscribe(store)
+  const lastSelection = useRef(null)
+
+  const getSnapshot = useCallback(() => {
+    const source = readSnapshot(store)
+    const previous = lastSelection.current
+
+    // Same input and selector: reuse the memoized selection
+    if (
+      previous &&
+      previous.selector === selector &&
+      Object.is(previous.source, source)
+    ) {
+      return previous.selection
+    }
+
+    const nextSelection = selector(source)
+
+    // Keep the previous reference when the selection is considered equal
+    const selection =
+      previous && isEqual(previous.selection, nextSelection) ?
+        previous.selection
+      : nextSelection
+
+    lastSelection.current = { source, selector, selection }
+    return selection
+  }, [store, selector, isEqual])
+
+  return useSyncExternalStore(subscribe, getSnapshot)
+}
+
 // Utility functions for async state handling
 export const isError = data => {
+  if (isAsyncState(data)) return data.status === 'error'
   return typeof data === 'object' && data.error === true
 }
 
+// Async states stay successful while they refetch
 export const isSuccess = data => {
+  if (isAsyncState(data)) return data.status === 'success'
   return data && !isError(data) && !isLoading(data)
 }
 
 export const isLoading = data => {
+  if (isAsyncState(data)) return data.status === 'loading'
   return typeof data === 'object' && data.loading === true
 }
 
 export const getErrorMessage = data => {
-  return isError(data) ? data.message : null
+  if (!isError(data)) return null
+  return isAsyncState(data) ?
+      data.error?.message || 'An error occurred'
+    : data.message
 }
 
 export const getErrorStatus = data => {
-  return isError(data) ? data.status : null
+  if (!isError(data)) return null
+  return isAsyncState(data) ? data.error?.status || 'error' : data.status
 }
@@ -1,17 +1,82 @@
-function deepEqual(a, b) {
-  if (a === b) return true
+// Compare values structurally. Handles NaN, Date, RegExp, Map, Set and cyclic
+// data. `seen` tracks the pairs being compared further up the stack so cycles
+// terminate.
+function deepEqual(a, b, seen = new Map()) {
+  // Same value, including NaN (and +0/-0 as equal)
+  if (a === b || (a !== a && b !== b)) return true
   if (a == null || b == null) return false
-  if (Array.isArray(a) && Array.isArray(b)) {
-    if (a.length !== b.length) return false
-    return a.every((val, i) => deepEqual(val, b[i]))
+  if (typeof a !== 'object' || typeof b !== 'object') return false
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false
+
+  // A pair already under comparison further up the stack is assumed equal
+  let compared = seen.get(a)
+  if (compared?.has(b)) return true
+  if (!compared) {
+    compared = new Set()
+    seen.set(a, compared)
+  }
+  compared.add(b)
+
+  // Forget the pair once it is compared, so a failed comparison (such as a Set
+  // member tried against the wrong candidate) is never later assumed equal
+  try {
+    return compareObjects(a, b, seen)
+  } finally {
+    compared.delete(b)
+    if (compared.size === 0) seen.delete(a)
+  }
+}
+
+// Compare two objects of the same prototype
+function compareObjects(a, b, seen) {
+  if (a instanceof Date) {
+    const timeA = a.getTime()
+    const timeB = b.getTime()
+    return timeA === timeB || (timeA !== timeA && timeB !== timeB)
+  }
+
+  if (a instanceof RegExp) {
+    return a.source === b.source && a.flags === b.flags
+  }
+
+  if (a instanceof Map) {
+    if (a.size !== b.size) return false
+    for (const [key, value] of a) {
+      if (!b.has(key) || !deepEqual(value, b.get(key), seen)) return false
+    }
+    return true
+  }
+
+  if (a instanceof Set) {
+    if (a.size !== b.size) return false
+    for (const value of a) {
+      if (b.has(value)) continue
+      // Object members may be equal without being the same reference
+      let found = false
+      for (const other of b) {
+        if (deepEqual(value, other, seen)) {
+          found = true
+          break
+        }
+      }
+      if (!found) return false
+    }
+    return true
   }
-  if (typeof a === 'object' && typeof b === 'object') {
-    const keysA = Object.keys(a)
-    const keysB = Object.keys(b)
-    if (keysA.length !== keysB.length) return false
-    return keysA.every(key => deepEqual(a[key], b[key]))
+
+  if (Array.isArray(a)) {
+    if (a.length !== b.length) return false
+    return a.every((val, i) => deepEqual(val, b[i], seen))
   }
-  return false
+
+  const keysA = Object.keys(a)
+  const keysB = Object.keys(b)
+  if (keysA.length !== keysB.length) return false
+  return keysA.every(
+    key =>
+      Object.prototype.hasOwnProperty.call(b, key) &&
+      deepEqual(a[key], b[key], seen)
+  )
 }
 
 export default deepEqual
@@ -0,0 +1,160 @@
+// Draft proxies mapped to their internal state
+const draftStates = new WeakMap()
+
+function isDraft(value) {
+  return draftStates.has(value)
+}
+
+// Only plain objects and arrays are drafted. Other objects (Date, Map, class
+// instances) are passed through as-is.
+function isDraftable(value) {
+  if (Array.isArray(value)) return true
+  if (value === null || typeof value !== 'object') return false
+  const proto = Object.getPrototypeOf(value)
+  return proto === Object.prototype || proto === null
+}
+
+function shallowCopy(value) {
+  return Array.isArray(value) ? [...value] : { ...value }
+}
+
+function markModified(state) {
+  if (state.modified) return
+  state.modified = true
+  state.copy = shallowCopy(state.base)
+  if (state.parent) markModified(state.parent)
+}
+
+function createDraft(base, parent, scope) {
+  const state = {
+    base,
+    parent,
+    copy: null,
+    modified: false,
+    drafts: new Map(),
+    assigned: new Set(),
+  }
+  const latest = () => state.copy || state.base
+
+  // Empty target so frozen or non-configurable base objects don't trip proxy invariants
+  const target = Array.isArray(base) ? [] : {}
+
+  const { proxy, revoke } = Proxy.revocable(target, {
+    get(_, prop) {
+      const source = latest()
+      const value = source[prop]
+
+      if (!Object.prototype.hasOwnProperty.call(source, prop)) return value
+      if (state.drafts.has(prop)) return state.drafts.get(prop)
+      if (isDraft(value) || !isDraftable(value)) return value
+
+      // Draft nested objects lazily, on first access
+      const draft = createDraft(value, state, scope)
+      state.drafts.set(prop, draft)
+      return draft
+    },
+    set(_, prop, value) {
+      const source = latest()
+      const unchanged =
+        Object.prototype.hasOwnProperty.call(source, prop) &&
+        (state.drafts.has(prop) ?
+          state.drafts.get(prop) === value
+        : Object.is(source[prop], value))
+      if (unchanged) return true
+
+      markModified(state)
+      state.copy[prop] = value
+      state.drafts.delete(prop)
+      state.assigned.add(prop)
+      return true
+    },
+    deleteProperty(_, prop) {
+      if (!Object.prototype.hasOwnProperty.call(latest(), prop)) return true
+
+      markModified(state)
+      delete state.copy[prop]
+      state.drafts.delete(prop)
+      state.assigned.delete(prop)
+      return true
+    },
+    has(_, prop) {
+      return prop in latest()
+    },
+    ownKeys() {
+      return Reflect.ownKeys(latest())
+    },
+    getOwnPropertyDescriptor(_, prop) {
+      const descriptor = Reflect.getOwnPropertyDescriptor(latest(), prop)
+      if (!descriptor || (Array.isArray(target) && prop === 'length')) {
+        return descriptor
+      }
+      return { ...descriptor, configurable: true }
+    },
+    defineProperty(_, prop, descriptor) {
+      markModified(state)
+      state.drafts.delete(prop)
+      state.assigned.add(prop)
+      return Reflect.defineProperty(state.copy, prop, descriptor)
+    },
+    getPrototypeOf() {
+      return Object.getPrototypeOf(state.base)
+    },
+  })
+
+  draftStates.set(proxy, state)
+  scope.push(revoke)
+  return proxy
+}
+
+// Replace drafts with plain values, keeping unmodified branches untouched
+function finalize(value, seen) {
+  if (isDraft(value)) {
+    const state = draftStates.get(value)
+    if (!state.modified) return state.base
+    if (seen.has(state)) return state.copy
+    seen.add(state)
+
+    state.assigned.forEach(prop => {
+      if (!state.drafts.has(prop)) {
+        state.copy[prop] = finalize(state.copy[prop], seen)
+      }
+    })
+    state.drafts.forEach((draft, prop) => {
+      state.copy[prop] = finalize(draft, seen)
+    })
+    return state.copy
+  }
+
+  // New containers returned or assigned by the updater may hold drafts
+  if (!isDraftable(value) || seen.has(value)) return value
+  seen.add(value)
+
+  let copy = null
+  Object.keys(value).forEach(key => {
+    const child = value[key]
+    const finalChild = finalize(child, seen)
+    if (finalChild !== child) {
+      if (!copy) copy = shallowCopy(value)
+      copy[key] = finalChild
+    }
+  })
+  return copy || value
+}
+
+// Run an updater against a mutable draft of base. Returning undefined commits the
+// draft's changes; returning any other value replaces base with it. Writes are
+// copy-on-write, so unchanged branches keep their identity.
+function produce(base, recipe) {
+  if (!isDraftable(base)) return recipe(base)
+
+  const scope = []
+  try {
+    const draft = createDraft(base, null, scope)
+    const result = recipe(draft)
+    return finalize(result === undefined ? draft : result, new WeakSet())
+  } finally {
+    scope.forEach(revoke => revoke())
+  }
+}
+
+export default produce
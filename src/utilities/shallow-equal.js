@@ -0,0 +1,26 @@
+// Only arrays and plain objects are compared key by key. Other objects, such as
+// Date, Map, Set or class instances, keep their state out of own keys, so they
+// are compared with Object.is.
+function isComparable(value) {
+  if (Array.isArray(value)) return true
+  if (value === null || typeof value !== 'object') return false
+  const proto = Object.getPrototypeOf(value)
+  return proto === Object.prototype || proto === null
+}
+
+// Compare arrays and plain objects one level deep, other values with Object.is
+function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true
+  if (!isComparable(a) || !isComparable(b)) return false
+  if (Array.isArray(a) !== Array.isArray(b)) return false
+
+  const keysA = Object.keys(a)
+  const keysB = Object.keys(b)
+  if (keysA.length !== keysB.length) return false
+  return keysA.every(
+    key =>
+      Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key])
+  )
+}
+
+export default shallowEqual
@@ -0,0 +1,122 @@
+import { store, combine } from '../src/index'
+import { describe, it, expect, vi } from 'vitest'
+
+// Resolve with value after ms, or reject with an AbortError when signal aborts
+const delay = (ms, value, signal) =>
+  new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => resolve(value), ms)
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timeout)
+      reject(new DOMException('Aborted', 'AbortError'))
+    })
+  })
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('Async Cancellation', () => {
+  it('should run for an input that changes while a request is in flight', async () => {
+    const idStore = store(1)
+    const detailsStore = idStore.derive(id => delay(20, { id }))
+    detailsStore.subscribe(() => {})
+
+    idStore.set(2)
+    expect(detailsStore.get()).toEqual({ loading: true })
+
+    await wait(40)
+    expect(detailsStore.get()).toEqual({ id: 2 })
+  })
+
+  it('should never write results from superseded requests', async () => {
+    const idStore = store(1)
+    const seen = []
+    // Ignores the signal, so the first request settles after the second
+    const detailsStore = idStore.derive(id => delay(id === 1 ? 30 : 5, { id }))
+    detailsStore.subscribe(value => seen.push(value))
+
+    idStore.set(2)
+    await wait(50)
+
+    expect(detailsStore.get()).toEqual({ id: 2 })
+    expect(seen).not.toContainEqual({ id: 1 })
+  })
+
+  it('should abort the previous signal when the input changes', async () => {
+    const idStore = store(1)
+    const signals = []
+    const detailsStore = idStore.derive((id, { signal }) => {
+      signals.push(signal)
+      return delay(10, { id }, signal)
+    })
+    detailsStore.subscribe(() => {})
+
+    idStore.set(2)
+
+    expect(signals).toHaveLength(2)
+    expect(signals[0].aborted).toBe(true)
+    expect(signals[1].aborted).toBe(false)
+  })
+
+  it('should not record aborted requests as errors', async () => {
+    const idStore = store(1)
+    const listener = vi.fn()
+    const detailsStore = idStore.derive((id, { signal }) =>
+      delay(10, { id }, signal)
+    )
+    detailsStore.subscribe(listener)
+
+    idStore.set(2)
+    idStore.set(3)
+    await wait(30)
+
+    expect(detailsStore.get()).toEqual({ id: 3 })
+    const values = listener.mock.calls.map(([value]) => value)
+    expect(values.some(value => value?.error)).toBe(false)
+  })
+
+  it('should abort the request in flight when the store is disposed', async () => {
+    const idStore = store(1)
+    let requestSignal
+    const detailsStore = idStore.derive((id, { signal }) => {
+      requestSignal = signal
+      return delay(10, { id }, signal)
+    })
+
+    detailsStore.dispose()
+
+    expect(requestSignal.aborted).toBe(true)
+  })
+
+  it('should not abort the signal of a request that completed', async () => {
+    const idStore = store(1)
+    let requestSignal
+    const detailsStore = idStore.derive((id, { signal }) => {
+      requestSignal = signal
+      return delay(5, { id }, signal)
+    })
+
+    await wait(20)
+    detailsStore.dispose()
+
+    expect(requestSignal.aborted).toBe(false)
+  })
+
+  it('should pass a signal to async combine read functions', async () => {
+    const userIdStore = store(1)
+    const pageStore = store(1)
+    const signals = []
+    const postsStore = combine(
+      [userIdStore, pageStore],
+      ([userId, page], { signal }) => {
+        signals.push(signal)
+        return delay(10, { userId, page }, signal)
+      }
+    )
+    postsStore.subscribe(() => {})
+
+    pageStore.set(2)
+    await wait(30)
+
+    expect(signals[0].aborted).toBe(true)
+    expect(postsStore.get()).toEqual({ userId: 1, page: 2 })
+  })
+})
@@ -0,0 +1,220 @@
+import React from 'react'
+import { store, useStoreValue, batch, batchAsync } from '../src/index'
+import { render, screen, act } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+
+describe('Batched Updates', () => {
+  it('should apply every update inside a batch', () => {
+    const userStore = store({ name: 'Karina', origin: 'South Korea' })
+
+    batch(() => {
+      userStore.name.set('Giselle')
+      userStore.origin.set('Japan')
+    })
+
+    expect(userStore.get()).toEqual({ name: 'Giselle', origin: 'Japan' })
+  })
+
+  it('should return the value of the batched function', () => {
+    const countStore = store(0)
+
+    const result = batch(() => {
+      countStore.set(1)
+      return 'done'
+    })
+
+    expect(result).toBe('done')
+  })
+
+  it('should notify listeners once after the outermost batch ends', () => {
+    const countStore = store(0)
+    const listener = vi.fn()
+    countStore.listeners.add(listener)
+
+    batch(() => {
+      countStore.set(1)
+      countStore.set(2)
+
+      batch(() => {
+        countStore.set(3)
+      })
+
+      expect(listener).not.toHaveBeenCalled()
+    })
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(countStore.get()).toBe(3)
+  })
+
+  it('should recompute derived stores once per batch', () => {
+    const firstStore = store(1)
+    const secondStore = store(2)
+    const getter = vi.fn(get => get(firstStore) + get(secondStore))
+    const sumStore = store(getter)
+    sumStore.subscribe(() => {})
+
+    getter.mockClear()
+
+    batch(() => {
+      firstStore.set(10)
+      secondStore.set(20)
+      firstStore.set(100)
+    })
+
+    expect(getter).toHaveBeenCalledTimes(1)
+    expect(sumStore.value).toBe(120)
+  })
+
+  it('should re-render subscribed components once', () => {
+    const userStore = store({ name: 'Winter', origin: 'South Korea' })
+    const renders = vi.fn()
+
+    function UserDisplay() {
+      renders()
+      const user = useStoreValue(userStore)
+      return (
+        <p>
+          {user.name} ({user.origin})
+        </p>
+      )
+    }
+
+    render(<UserDisplay />)
+    expect(renders).toHaveBeenCalledTimes(1)
+
+    act(() => {
+      batch(() => {
+        userStore.name.set('Ningning')
+        userStore.origin.set('China')
+      })
+    })
+
+    expect(renders).toHaveBeenCalledTimes(2)
+    expect(screen.getByText('Ningning (China)')).toBeInTheDocument()
+  })
+
+  it('should flush pending updates when the batched function throws', () => {
+    const countStore = store(0)
+    const listener = vi.fn()
+    countStore.listeners.add(listener)
+
+    expect(() =>
+      batch(() => {
+        countStore.set(1)
+        throw new Error('Batch failed')
+      })
+    ).toThrow('Batch failed')
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(countStore.get()).toBe(1)
+  })
+
+  describe('batchAsync', () => {
+    it('should batch updates made before the first await', async () => {
+      const userStore = store({ name: 'Karina', origin: 'South Korea' })
+      const listener = vi.fn()
+      userStore.listeners.add(listener)
+
+      const result = await batchAsync(async () => {
+        userStore.name.set('Giselle')
+        userStore.origin.set('Japan')
+        await Promise.resolve()
+        return 'done'
+      })
+
+      expect(result).toBe('done')
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(userStore.get()).toEqual({ name: 'Giselle', origin: 'Japan' })
+    })
+
+    it('should coalesce updates written through the handle across awaits', async () => {
+      const userStore = store({ name: 'Karina', origin: 'South Korea' })
+      const listener = vi.fn()
+      userStore.listeners.add(listener)
+      let finish
+
+      const promise = batchAsync(async set => {
+        set(userStore.name, 'Giselle')
+        await new Promise(resolve => (finish = resolve))
+        set(userStore.origin, 'Japan')
+      })
+
+      expect(userStore.name.get()).toBe('Giselle')
+      expect(listener).not.toHaveBeenCalled()
+
+      finish()
+      await promise
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(userStore.get()).toEqual({ name: 'Giselle', origin: 'Japan' })
+    })
+
+    it('should not hold back other stores while awaiting', async () => {
+      const countStore = store(0)
+      const otherStore = store(0)
+      const listener = vi.fn()
+      otherStore.listeners.add(listener)
+      let finish
+
+      const promise = batchAsync(async set => {
+        set(countStore, 1)
+        await new Promise(resolve => (finish = resolve))
+        set(countStore, 2)
+      })
+
+      otherStore.set(1)
+      expect(listener).toHaveBeenCalledTimes(1)
+
+      finish()
+      await promise
+      expect(countStore.get()).toBe(2)
+    })
+
+    it('should recompute derived stores once the batch settles', async () => {
+      const countStore = store(1)
+      const doubleStore = countStore.derive(count => count * 2)
+      const listener = vi.fn()
+      doubleStore.subscribe(listener)
+
+      await batchAsync(async set => {
+        set(countStore, 2)
+        await Promise.resolve()
+        set(countStore, 3)
+      })
+
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(doubleStore.get()).toBe(6)
+    })
+
+    it('should flush pending updates when the async function rejects', async () => {
+      const countStore = store(0)
+      const listener = vi.fn()
+      countStore.listeners.add(listener)
+
+      await expect(
+        batchAsync(async () => {
+          countStore.set(1)
+          throw new Error('Async batch failed')
+        })
+      ).rejects.toThrow('Async batch failed')
+
+      expect(listener).toHaveBeenCalledTimes(1)
+    })
+
+    it('should flush handle writes when the async function rejects', async () => {
+      const countStore = store(0)
+      const listener = vi.fn()
+      countStore.listeners.add(listener)
+
+      await expect(
+        batchAsync(async set => {
+          await Promise.resolve()
+          set(countStore, 1)
+          throw new Error('Async batch failed')
+        })
+      ).rejects.toThrow('Async batch failed')
+
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(countStore.get()).toBe(1)
+    })
+  })
+})
@@ -0,0 +1,212 @@
+import React from 'react'
+import { store, combine, useStoreValue, isLoading, isError } from '../src/index'
+import { render, act } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('combine', () => {
+  it('should combine an array of stores', () => {
+    const firstNameStore = store('Kim')
+    const lastNameStore = store('Minjeong')
+    const fullNameStore = combine(
+      [firstNameStore, lastNameStore],
+      ([first, last]) => `${first} ${last}`
+    )
+
+    expect(fullNameStore.get()).toBe('Kim Minjeong')
+
+    lastNameStore.set('Jimin')
+    expect(fullNameStore.get()).toBe('Kim Jimin')
+  })
+
+  it('should combine an object of stores', () => {
+    const priceStore = store(10)
+    const cartStore = store({ quantity: 2 })
+    const totalStore = combine(
+      { price: priceStore, quantity: cartStore.quantity },
+      ({ price, quantity }) => price * quantity
+    )
+
+    expect(totalStore.get()).toBe(20)
+
+    cartStore.quantity.set(3)
+    expect(totalStore.get()).toBe(30)
+  })
+
+  it('should notify subscribers when any source changes', () => {
+    const aStore = store(1)
+    const bStore = store(2)
+    const sumStore = combine([aStore, bStore], ([a, b]) => a + b)
+    const listener = vi.fn()
+    sumStore.subscribe(listener)
+
+    bStore.set(5)
+
+    expect(listener).toHaveBeenCalledWith(6, 3)
+  })
+
+  it('should fan writes back out to the sources', () => {
+    const firstNameStore = store('Kim')
+    const lastNameStore = store('Minjeong')
+    const fullNameStore = combine(
+      { first: firstNameStore, last: lastNameStore },
+      ({ first, last }) => `${first} ${last}`,
+      fullName => {
+        const [first, last] = fullName.split(' ')
+        return { first, last }
+      }
+    )
+    const listener = vi.fn()
+    fullNameStore.subscribe(listener)
+
+    fullNameStore.set('Yu Jimin')
+
+    expect(firstNameStore.get()).toBe('Yu')
+    expect(lastNameStore.get()).toBe('Jimin')
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+
+  it('should only write the sources returned by write', () => {
+    const widthStore = store(10)
+    const heightStore = store(5)
+    const areaStore = combine(
+      [widthStore, heightStore],
+      ([width, height]) => width * height,
+      (area, [, height]) => [area / height]
+    )
+
+    areaStore.set(100)
+
+    expect(widthStore.get()).toBe(20)
+    expect(heightStore.get()).toBe(5)
+  })
+
+  it('should stay read-only without write', () => {
+    const aStore = store(1)
+    const copyStore = combine([aStore], ([a]) => a)
+
+    expect(() => copyStore.set(2)).toThrow(
+      'Cannot set value on derived store. Derived stores are read-only.'
+    )
+  })
+
+  it('should support async read functions', async () => {
+    const userIdStore = store(1)
+    const pageStore = store(1)
+    const fetchPosts = vi.fn(async ([userId, page]) => {
+      await wait(10)
+      return { userId, page }
+    })
+    const postsStore = combine([userIdStore, pageStore], fetchPosts)
+
+    expect(isLoading(postsStore.get())).toBe(true)
+    await wait(20)
+    expect(postsStore.get()).toEqual({ userId: 1, page: 1 })
+    expect(fetchPosts).toHaveBeenCalledTimes(1)
+
+    pageStore.set(2)
+    expect(isLoading(postsStore.get())).toBe(true)
+    await wait(20)
+    expect(postsStore.get()).toEqual({ userId: 1, page: 2 })
+  })
+
+  it('should use the error shape for failed async reads', async () => {
+    const idStore = store(1)
+    const failingStore = combine([idStore], async () => {
+      await wait(5)
+      const error = new Error('Not found')
+      error.status = 404
+      throw error
+    })
+    failingStore.subscribe(() => {})
+
+    await wait(20)
+
+    expect(isError(failingStore.get())).toBe(true)
+    expect(failingStore.get().message).toBe('Not found')
+    expect(failingStore.get().status).toBe(404)
+  })
+
+  it('should not call read until the store is first read', async () => {
+    const read = vi.fn(([a]) => a * 2)
+    const doubleStore = combine([store(1)], read)
+    const fetchDouble = vi.fn(async ([a]) => a * 2)
+    const asyncDoubleStore = combine([store(1)], fetchDouble)
+
+    expect(read).not.toHaveBeenCalled()
+    expect(fetchDouble).not.toHaveBeenCalled()
+
+    expect(doubleStore.get()).toBe(2)
+    asyncDoubleStore.subscribe(() => {})
+    await wait(0)
+    expect(asyncDoubleStore.get()).toBe(2)
+    expect(fetchDouble).toHaveBeenCalledTimes(1)
+  })
+
+  it('should store errors thrown by read instead of throwing', () => {
+    const aStore = store(10)
+    const read = ([a]) => {
+      if (a > 5) throw new Error('Too high')
+      return a
+    }
+
+    const checkedStore = combine([aStore], read)
+
+    expect(() => checkedStore.get()).not.toThrow()
+    expect(checkedStore.error.message).toBe('Too high')
+
+    aStore.set(2)
+    expect(checkedStore.get()).toBe(2)
+    expect(checkedStore.error).toBe(null)
+  })
+
+  it('should fan writes out from async combine stores', async () => {
+    const userIdStore = store(1)
+    const pageStore = store(1)
+    const postsStore = combine(
+      { userId: userIdStore, page: pageStore },
+      ({ userId, page }) => Promise.resolve({ userId, page }),
+      value => value
+    )
+    postsStore.subscribe(() => {})
+
+    postsStore.set({ userId: 2, page: 3 })
+    await wait(0)
+
+    expect(pageStore.get()).toBe(3)
+    expect(postsStore.get()).toEqual({ userId: 2, page: 3 })
+  })
+
+  it('should refetch and dispose async combine stores', async () => {
+    const signals = []
+    const fetchCount = vi.fn((values, { signal }) => {
+      signals.push(signal)
+      return new Promise(() => {})
+    })
+    const countStore = combine([store(1)], fetchCount)
+    countStore.get()
+
+    countStore.refetch()
+    expect(fetchCount).toHaveBeenCalledTimes(2)
+
+    countStore.dispose()
+    expect(signals[1].aborted).toBe(true)
+  })
+
+  it('should work with hooks', () => {
+    const aStore = store(1)
+    const bStore = store(2)
+    const sumStore = combine([aStore, bStore], ([a, b]) => a + b)
+
+    function Sum() {
+      return <p data-testid='sum'>{useStoreValue(sumStore)}</p>
+    }
+
+    const { getByTestId } = render(<Sum />)
+    expect(getByTestId('sum').textContent).toBe('3')
+
+    act(() => aStore.set(10))
+    expect(getByTestId('sum').textContent).toBe('12')
+  })
+})
@@ -0,0 +1,74 @@
+import { store } from '../src/index'
+import { describe, it, expect, vi } from 'vitest'
+
+describe('Dependency Cycles', () => {
+  it('should report a store that reads itself', () => {
+    const selfStore = store(get => (get(selfStore) || 0) + 1, { name: 'self' })
+
+    expect(() => selfStore.get()).not.toThrow()
+    expect(selfStore.error.message).toBe(
+      'Circular dependency between derived stores: self -> self'
+    )
+  })
+
+  it('should name every store in the cycle', () => {
+    const aStore = store(get => get(bStore) + 1, { name: 'a' })
+    const bStore = store(get => get(cStore) + 1, { name: 'b' })
+    const cStore = store(get => get(aStore) + 1, { name: 'c' })
+
+    aStore.get()
+
+    // The store whose read closes the loop holds the error
+    expect(cStore.error.message).toBe(
+      'Circular dependency between derived stores: a -> b -> c -> a'
+    )
+  })
+
+  it('should detect cycles closed by a later recompute', () => {
+    const flagStore = store(false)
+    const aStore = store(get => (get(flagStore) ? get(bStore) : 0), {
+      name: 'a',
+    })
+    const bStore = store(get => get(aStore) + 1, { name: 'b' })
+    const listener = vi.fn()
+    bStore.subscribe(listener)
+
+    flagStore.set(true)
+
+    expect(aStore.error.message).toBe(
+      'Circular dependency between derived stores: a -> b -> a'
+    )
+    expect(bStore.get()).toBe(1)
+  })
+
+  it('should not loop when a cycle is registered', () => {
+    const flagStore = store(false)
+    const countStore = store(0)
+    const aStore = store(
+      get => get(countStore) + (get(flagStore) ? get(bStore) : 0)
+    )
+    const bStore = store(get => get(aStore) + 1)
+    bStore.subscribe(() => {})
+
+    flagStore.set(true)
+    countStore.set(1)
+
+    // a keeps failing while the cycle exists, so b keeps its last value
+    expect(bStore.get()).toBe(1)
+    expect(aStore.error.message).toBe(
+      'Circular dependency between derived stores: unnamed store -> unnamed store -> unnamed store'
+    )
+  })
+
+  it('should leave unrelated stores working', () => {
+    const countStore = store(1)
+    const doubleStore = store(get => get(countStore) * 2, { name: 'double' })
+    const selfStore = store(get => get(selfStore), { name: 'self' })
+
+    selfStore.get()
+    countStore.set(2)
+
+    expect(doubleStore.get()).toBe(4)
+    expect(doubleStore.error).toBe(null)
+  })
+})
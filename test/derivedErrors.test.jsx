@@ -0,0 +1,154 @@
+import React from 'react'
+import { store, useStoreError, useStoreValue } from '../src/index'
+import { render, act } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+
+class ErrorBoundary extends React.Component {
+  state = { error: null }
+
+  static getDerivedStateFromError(error) {
+    return { error }
+  }
+
+  render() {
+    if (this.state.error) {
+      return <p data-testid='fallback'>{this.state.error.message}</p>
+    }
+    return this.props.children
+  }
+}
+
+describe('Derived Store Errors', () => {
+  it('should expose the error and keep the last value', () => {
+    const countStore = store(1)
+    const checkedStore = store(get => {
+      const count = get(countStore)
+      if (count > 5) throw new Error('Count too high')
+      return count * 2
+    })
+    expect(checkedStore.get()).toBe(2)
+    expect(checkedStore.error).toBe(null)
+
+    countStore.set(10)
+
+    expect(checkedStore.get()).toBe(2)
+    expect(checkedStore.error.message).toBe('Count too high')
+  })
+
+  it('should clear the error once a later recompute succeeds', () => {
+    const countStore = store(1)
+    const checkedStore = store(get => {
+      const count = get(countStore)
+      if (count > 5) throw new Error('Count too high')
+      return count * 2
+    })
+    checkedStore.subscribe(() => {})
+
+    countStore.set(10)
+    countStore.set(3)
+
+    expect(checkedStore.error).toBe(null)
+    expect(checkedStore.get()).toBe(6)
+  })
+
+  it('should clear the error even when the value is unchanged', () => {
+    const countStore = store(1)
+    const checkedStore = store(get => {
+      const count = get(countStore)
+      if (count > 5) throw new Error('Count too high')
+      return count * 2
+    })
+    checkedStore.subscribe(() => {})
+
+    countStore.set(10)
+    countStore.set(1)
+
+    expect(checkedStore.get()).toBe(2)
+    expect(checkedStore.error).toBe(null)
+  })
+
+  it('should not log errors to the console', () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const countStore = store(1)
+    const checkedStore = store(get => {
+      const count = get(countStore)
+      if (count > 5) throw new Error('Count too high')
+      return count * 2
+    })
+
+    countStore.set(10)
+    checkedStore.get()
+
+    expect(consoleError).not.toHaveBeenCalled()
+    consoleError.mockRestore()
+  })
+
+  it('should re-render useStoreError when the error appears and clears', () => {
+    const countStore = store(1)
+    const checkedStore = store(get => {
+      const count = get(countStore)
+      if (count > 5) throw new Error('Count too high')
+      return count * 2
+    })
+
+    function Status() {
+      const error = useStoreError(checkedStore)
+      return <p data-testid='status'>{error ? error.message : 'ok'}</p>
+    }
+
+    const { getByTestId } = render(<Status />)
+    expect(getByTestId('status').textContent).toBe('ok')
+
+    act(() => countStore.set(10))
+    expect(getByTestId('status').textContent).toBe('Count too high')
+
+    act(() => countStore.set(2))
+    expect(getByTestId('status').textContent).toBe('ok')
+  })
+
+  it('should rethrow during render with throwOnError', () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const countStore = store(1)
+    const checkedStore = store(
+      get => {
+        const count = get(countStore)
+        if (count > 5) throw new Error('Count too high')
+        return count * 2
+      },
+      { throwOnError: true }
+    )
+
+    function Value() {
+      const value = useStoreValue(checkedStore)
+      return <p data-testid='value'>{value}</p>
+    }
+
+    const { getByTestId } = render(
+      <ErrorBoundary>
+        <Value />
+      </ErrorBoundary>
+    )
+    expect(getByTestId('value').textContent).toBe('2')
+
+    act(() => countStore.set(10))
+
+    expect(getByTestId('fallback').textContent).toBe('Count too high')
+    consoleError.mockRestore()
+  })
+
+  it('should not throw from get() with throwOnError', () => {
+    const countStore = store(1)
+    const checkedStore = store(
+      get => {
+        const count = get(countStore)
+        if (count > 5) throw new Error('Count too high')
+        return count * 2
+      },
+      { throwOnError: true }
+    )
+
+    countStore.set(10)
+
+    expect(() => checkedStore.get()).not.toThrow()
+  })
+})
@@ -0,0 +1,170 @@
+import React from 'react'
+import { store, storeFamily, useStoreValue } from '../src/index'
+import { render } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('dispose()', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('should make later reads, writes and subscriptions throw', () => {
+    const countStore = store(0, { name: 'count' })
+
+    countStore.dispose()
+
+    expect(() => countStore.get()).toThrow('Cannot use disposed store "count"')
+    expect(() => countStore.set(1)).toThrow('Cannot use disposed store')
+    expect(() => countStore.subscribe(() => {})).toThrow(
+      'Cannot use disposed store'
+    )
+    expect(() => countStore.push(1)).toThrow('Cannot use disposed store')
+  })
+
+  it('should be safe to call more than once', () => {
+    const countStore = store(0)
+
+    countStore.dispose()
+
+    expect(() => countStore.dispose()).not.toThrow()
+  })
+
+  it('should drop its listeners', () => {
+    const countStore = store(0)
+    const listener = vi.fn()
+    const unsubscribe = countStore.subscribe(listener)
+
+    countStore.dispose()
+
+    expect(countStore.listeners.size).toBe(0)
+    expect(() => unsubscribe()).not.toThrow()
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  it('should unlink a derived store from its sources', () => {
+    const countStore = store(1)
+    const getter = vi.fn(get => get(countStore) * 2)
+    const doubleStore = store(getter)
+    doubleStore.subscribe(() => {})
+
+    doubleStore.dispose()
+    getter.mockClear()
+    countStore.set(2)
+
+    expect(getter).not.toHaveBeenCalled()
+    expect(countStore.get()).toBe(2)
+  })
+
+  it('should release upstream derived stores', () => {
+    const countStore = store(1)
+    const doubleGetter = vi.fn(get => get(countStore) * 2)
+    const doubleStore = store(doubleGetter)
+    const quadrupleStore = store(get => get(doubleStore) * 2)
+    quadrupleStore.subscribe(() => {})
+
+    quadrupleStore.dispose()
+    doubleGetter.mockClear()
+    countStore.set(2)
+
+    expect(doubleGetter).not.toHaveBeenCalled()
+  })
+
+  it('should surface an error in dependents', () => {
+    const countStore = store(1, { name: 'count' })
+    const doubleStore = store(get => get(countStore) * 2)
+    doubleStore.subscribe(() => {})
+
+    countStore.dispose()
+
+    expect(doubleStore.get()).toBe(2)
+    expect(doubleStore.error.message).toMatch(
+      'Cannot use disposed store "count"'
+    )
+  })
+
+  it('should ignore in-flight async results', async () => {
+    const idStore = store(1)
+    const detailsStore = idStore.derive(async id => {
+      await wait(10)
+      return { id }
+    })
+    const asyncStoreObj = detailsStore._obj
+
+    detailsStore.dispose()
+    await wait(20)
+
+    expect(asyncStoreObj.value).toEqual({ loading: true })
+  })
+
+  it('should stop async stores from re-running', async () => {
+    const idStore = store(1)
+    const fetchDetails = vi.fn(async id => ({ id }))
+    const detailsStore = idStore.derive(fetchDetails)
+    await wait(0)
+
+    detailsStore.dispose()
+    idStore.set(2)
+    await wait(0)
+
+    expect(fetchDetails).toHaveBeenCalledTimes(1)
+  })
+
+  it('should ignore results of .async() loads', async () => {
+    const dataStore = store(null).async(async () => {
+      await wait(10)
+      return 'loaded'
+    })
+
+    dataStore.dispose()
+    await wait(20)
+
+    expect(dataStore._obj.value).toBe(null)
+  })
+
+  it('should cancel pending persistence', async () => {
+    const settingsStore = store({ theme: 'dark' }).local('dispose-settings')
+
+    settingsStore.theme.set('light')
+    settingsStore.dispose()
+    await wait(10)
+
+    expect(JSON.parse(localStorage.getItem('dispose-settings'))).toEqual({
+      theme: 'dark',
+    })
+  })
+
+  it('should let families recreate disposed stores', () => {
+    const counterFamily = storeFamily(() => 0)
+    const first = counterFamily('a')
+
+    first.dispose()
+
+    expect(counterFamily('a') === first).toBe(false)
+    expect(counterFamily('a').get()).toBe(0)
+  })
+
+  it('should dispose stores evicted from families when unobserved', async () => {
+    const counterFamily = storeFamily(() => 0, { disposeWhenUnobserved: true })
+    const first = counterFamily('a')
+
+    first.subscribe(() => {})()
+    await wait(0)
+
+    expect(() => first.get()).toThrow('Cannot use disposed store')
+  })
+
+  it('should throw when a component reads a disposed store', () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const countStore = store(0)
+    countStore.dispose()
+
+    function Count() {
+      return <p>{useStoreValue(countStore)}</p>
+    }
+
+    expect(() => render(<Count />)).toThrow('Cannot use disposed store')
+    consoleError.mockRestore()
+  })
+})
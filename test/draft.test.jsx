@@ -0,0 +1,195 @@
+import React from 'react'
+import { store, useStoreValue } from '../src/index'
+import { render, act } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+
+describe('Draft Updaters', () => {
+  it('should apply mutations made to a draft', () => {
+    const todosStore = store({
+      filter: 'all',
+      todos: [
+        { id: 1, text: 'Learn React', done: false },
+        { id: 2, text: 'Learn Drafts', done: false },
+      ],
+    })
+
+    todosStore.set(draft => {
+      draft.todos[1].done = true
+      draft.filter = 'done'
+    })
+
+    expect(todosStore.get()).toEqual({
+      filter: 'done',
+      todos: [
+        { id: 1, text: 'Learn React', done: false },
+        { id: 2, text: 'Learn Drafts', done: true },
+      ],
+    })
+  })
+
+  it('should keep the identity of unchanged branches', () => {
+    const todosStore = store({
+      filter: 'all',
+      todos: [
+        { id: 1, text: 'Learn React', done: false },
+        { id: 2, text: 'Learn Drafts', done: false },
+      ],
+    })
+    const before = todosStore.get()
+
+    todosStore.set(draft => {
+      draft.todos[1].done = true
+    })
+
+    const after = todosStore.get()
+    expect(after).not.toBe(before)
+    expect(after.todos).not.toBe(before.todos)
+    expect(after.todos[0]).toBe(before.todos[0])
+    expect(after.todos[1]).not.toBe(before.todos[1])
+  })
+
+  it('should not mutate the previous value', () => {
+    const todosStore = store({
+      filter: 'all',
+      todos: [
+        { id: 1, text: 'Learn React', done: false },
+        { id: 2, text: 'Learn Drafts', done: false },
+      ],
+    })
+    const before = todosStore.get()
+
+    todosStore.set(draft => {
+      draft.todos.push({ id: 3, text: 'Ship it', done: false })
+      delete draft.filter
+    })
+
+    expect(before.todos).toHaveLength(2)
+    expect(before.filter).toBe('all')
+    expect(todosStore.get().todos).toHaveLength(3)
+    expect('filter' in todosStore.get()).toBe(false)
+  })
+
+  it('should work with updaters on nested paths', () => {
+    const todosStore = store({
+      filter: 'all',
+      todos: [
+        { id: 1, text: 'Learn React', done: false },
+        { id: 2, text: 'Learn Drafts', done: false },
+      ],
+    })
+
+    todosStore.todos.set(todos => {
+      todos.splice(0, 1)
+    })
+
+    expect(todosStore.todos.get()).toEqual([
+      { id: 2, text: 'Learn Drafts', done: false },
+    ])
+  })
+
+  it('should skip the update when the draft is not modified', () => {
+    const todosStore = store({
+      filter: 'all',
+      todos: [
+        { id: 1, text: 'Learn React', done: false },
+        { id: 2, text: 'Learn Drafts', done: false },
+      ],
+    })
+    const listener = vi.fn()
+    todosStore.subscribe(listener)
+    const before = todosStore.get()
+
+    todosStore.set(draft => {
+      draft.filter = 'all'
+    })
+
+    expect(todosStore.get()).toBe(before)
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  it('should still support updaters that return a new value', () => {
+    const todosStore = store({
+      filter: 'all',
+      todos: [
+        { id: 1, text: 'Learn React', done: false },
+        { id: 2, text: 'Learn Drafts', done: false },
+      ],
+    })
+    const before = todosStore.get()
+
+    todosStore.todos.set(todos =>
+      todos.map(todo => (todo.id === 1 ? { ...todo, done: true } : todo))
+    )
+
+    const after = todosStore.get()
+    expect(after.todos[0].done).toBe(true)
+    // Elements returned from the draft are plain values again
+    expect(after.todos[1]).toBe(before.todos[1])
+
+    const countStore = store(0)
+    countStore.set(prev => prev + 1)
+    expect(countStore.get()).toBe(1)
+  })
+
+  it('should keep the state when a draft updater returns nothing', () => {
+    const nestedStore = store({ a: { b: 1 } })
+
+    nestedStore.set(draft => {
+      draft.a.b = 2
+    })
+
+    expect(nestedStore.get()).toEqual({ a: { b: 2 } })
+  })
+
+  it('should revoke drafts once the updater finishes', () => {
+    const todosStore = store({
+      filter: 'all',
+      todos: [
+        { id: 1, text: 'Learn React', done: false },
+        { id: 2, text: 'Learn Drafts', done: false },
+      ],
+    })
+    let leakedDraft
+
+    todosStore.set(draft => {
+      leakedDraft = draft
+      draft.filter = 'done'
+    })
+
+    expect(() => leakedDraft.filter).toThrow(TypeError)
+  })
+
+  it('should not re-render subscribers of unchanged branches', () => {
+    const todosStore = store({
+      filter: 'all',
+      todos: [
+        { id: 1, text: 'Learn React', done: false },
+        { id: 2, text: 'Learn Drafts', done: false },
+      ],
+    })
+    const renders = vi.fn()
+
+    const Todo = React.memo(function Todo({ index }) {
+      renders(index)
+      const todo = useStoreValue(todosStore.todos[index])
+      return <p>{todo.text}</p>
+    })
+
+    render(
+      <>
+        <Todo index={0} />
+        <Todo index={1} />
+      </>
+    )
+    renders.mockClear()
+
+    act(() => {
+      todosStore.set(draft => {
+        draft.todos[1].done = true
+      })
+    })
+
+    expect(renders).toHaveBeenCalledTimes(1)
+    expect(renders).toHaveBeenCalledWith(1)
+  })
+})
@@ -0,0 +1,88 @@
+import { store } from '../src/index'
+import { describe, it, expect, vi } from 'vitest'
+
+describe('Dynamic Dependencies', () => {
+  it('should stop recomputing for stores it no longer reads', () => {
+    const flagStore = store(true)
+    const aStore = store('a')
+    const bStore = store('b')
+    const getter = vi.fn(get => (get(flagStore) ? get(aStore) : get(bStore)))
+    const pickedStore = store(getter)
+    pickedStore.subscribe(() => {})
+
+    flagStore.set(false)
+    getter.mockClear()
+
+    aStore.set('a2')
+
+    expect(getter).not.toHaveBeenCalled()
+    expect(pickedStore.get()).toBe('b')
+  })
+
+  it('should start recomputing for stores read in later runs', () => {
+    const flagStore = store(true)
+    const aStore = store('a')
+    const bStore = store('b')
+    const getter = vi.fn(get => (get(flagStore) ? get(aStore) : get(bStore)))
+    const pickedStore = store(getter)
+    const listener = vi.fn()
+    pickedStore.subscribe(listener)
+
+    flagStore.set(false)
+    bStore.set('b2')
+
+    expect(listener).toHaveBeenLastCalledWith('b2', 'b')
+    expect(pickedStore.get()).toBe('b2')
+  })
+
+  it('should keep dependencies read in both branches', () => {
+    const flagStore = store(true)
+    const countStore = store(1)
+    const getter = vi.fn(get =>
+      get(flagStore) ? get(countStore) : get(countStore) * -1
+    )
+    const signedStore = store(getter)
+    signedStore.subscribe(() => {})
+
+    flagStore.set(false)
+    countStore.set(2)
+
+    expect(signedStore.get()).toBe(-2)
+  })
+
+  it('should release upstream derived stores it stops reading', () => {
+    const flagStore = store(true)
+    const countStore = store(1)
+    const doubleGetter = vi.fn(get => get(countStore) * 2)
+    const doubleStore = store(doubleGetter)
+    const pickedStore = store(get => (get(flagStore) ? get(doubleStore) : 0))
+    pickedStore.subscribe(() => {})
+
+    flagStore.set(false)
+    doubleGetter.mockClear()
+
+    countStore.set(2)
+
+    expect(doubleGetter).not.toHaveBeenCalled()
+  })
+
+  it('should fully detach after a branch switch once unobserved', () => {
+    const flagStore = store(true)
+    const aStore = store('a')
+    const bStore = store('b')
+    const getter = vi.fn(get => (get(flagStore) ? get(aStore) : get(bStore)))
+    const pickedStore = store(getter)
+    const unsubscribe = pickedStore.subscribe(() => {})
+
+    flagStore.set(false)
+    unsubscribe()
+    getter.mockClear()
+
+    aStore.set('a2')
+    bStore.set('b2')
+    flagStore.set(true)
+
+    expect(getter).not.toHaveBeenCalled()
+    expect(pickedStore.get()).toBe('a2')
+  })
+})
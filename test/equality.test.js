@@ -0,0 +1,212 @@
+import { store } from '../src/index'
+import deepEqual from '../src/utilities/deep-equal'
+import shallowEqual from '../src/utilities/shallow-equal'
+import { describe, it, expect, vi } from 'vitest'
+
+describe('deepEqual', () => {
+  it('should compare primitives and plain structures', () => {
+    expect(deepEqual(1, 1)).toBe(true)
+    expect(deepEqual('a', 'b')).toBe(false)
+    expect(deepEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toBe(true)
+    expect(deepEqual({ a: 1 }, { a: 1, b: undefined })).toBe(false)
+    expect(deepEqual({ a: undefined }, { b: undefined })).toBe(false)
+    expect(deepEqual([1], { 0: 1 })).toBe(false)
+  })
+
+  it('should treat NaN as equal to itself', () => {
+    expect(deepEqual(NaN, NaN)).toBe(true)
+    expect(deepEqual({ value: NaN }, { value: NaN })).toBe(true)
+  })
+
+  it('should compare dates by time', () => {
+    expect(deepEqual(new Date(2024, 0, 1), new Date(2024, 0, 1))).toBe(true)
+    expect(deepEqual(new Date(2024, 0, 1), new Date(2024, 0, 2))).toBe(false)
+  })
+
+  it('should compare regular expressions by source and flags', () => {
+    expect(deepEqual(/a+/g, /a+/g)).toBe(true)
+    expect(deepEqual(/a+/g, /a+/i)).toBe(false)
+  })
+
+  it('should compare map contents', () => {
+    expect(
+      deepEqual(new Map([['a', { x: 1 }]]), new Map([['a', { x: 1 }]]))
+    ).toBe(true)
+    expect(deepEqual(new Map([['a', 1]]), new Map([['a', 2]]))).toBe(false)
+    expect(deepEqual(new Map([['a', 1]]), new Map([['b', 1]]))).toBe(false)
+  })
+
+  it('should compare set contents', () => {
+    expect(deepEqual(new Set([1, 2]), new Set([2, 1]))).toBe(true)
+    expect(deepEqual(new Set([1, 2]), new Set([1, 3]))).toBe(false)
+    expect(deepEqual(new Set([{ id: 1 }]), new Set([{ id: 1 }]))).toBe(true)
+  })
+
+  it('should terminate on cyclic data', () => {
+    const a = { name: 'a' }
+    a.self = a
+    const b = { name: 'a' }
+    b.self = b
+    const c = { name: 'c' }
+    c.self = c
+
+    expect(deepEqual(a, b)).toBe(true)
+    expect(deepEqual(a, c)).toBe(false)
+  })
+
+  it('should not reuse failed comparisons of set members', () => {
+    // Matching o against the set first tries q, which fails
+    const o = { v: 1 }
+    const q = { v: 2 }
+    const a = [new Set([o, { v: 2 }]), o]
+    const b = [new Set([q, { v: 1 }]), q]
+
+    expect(deepEqual(a, b)).toBe(false)
+    expect(deepEqual(a, [new Set([q, { v: 1 }]), { v: 1 }])).toBe(true)
+  })
+
+  it('should notify when a change follows a set with similar members', () => {
+    const o = { v: 1 }
+    const dataStore = store([new Set([o, { v: 2 }]), o])
+    const listener = vi.fn()
+    dataStore.subscribe(listener)
+
+    const q = { v: 2 }
+    dataStore.set([new Set([q, { v: 1 }]), q])
+
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('shallowEqual', () => {
+  it('should compare one level deep', () => {
+    const shared = { x: 1 }
+
+    expect(shallowEqual({ a: shared }, { a: shared })).toBe(true)
+    expect(shallowEqual({ a: { x: 1 } }, { a: { x: 1 } })).toBe(false)
+    expect(shallowEqual([1, 2], [1, 2])).toBe(true)
+    expect(shallowEqual([1, 2], { 0: 1, 1: 2 })).toBe(false)
+  })
+
+  it('should compare Date, Map and Set by identity', () => {
+    const date = new Date(1)
+
+    expect(shallowEqual(date, date)).toBe(true)
+    expect(shallowEqual(new Date(1), new Date(2))).toBe(false)
+    expect(shallowEqual(new Map([['a', 1]]), new Map([['a', 2]]))).toBe(false)
+    expect(shallowEqual(new Set([1]), new Set([2]))).toBe(false)
+  })
+})
+
+describe('equals store option', () => {
+  it('should skip deeply equal updates by default', () => {
+    const userStore = store({ name: 'Winter' })
+    const listener = vi.fn()
+    userStore.subscribe(listener)
+
+    userStore.set({ name: 'Winter' })
+
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  it('should notify when only a date changes', () => {
+    const eventStore = store({ at: new Date(2024, 0, 1) })
+    const listener = vi.fn()
+    eventStore.subscribe(listener)
+
+    eventStore.at.set(new Date(2024, 0, 2))
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(eventStore.at.get()).toEqual(new Date(2024, 0, 2))
+  })
+
+  it('should notify when map contents change', () => {
+    const cacheStore = store(new Map([['a', 1]]))
+    const listener = vi.fn()
+    cacheStore.subscribe(listener)
+
+    cacheStore.set(new Map([['a', 2]]))
+
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+
+  it("should compare by reference with 'is'", () => {
+    const userStore = store({ name: 'Winter' }, { equals: 'is' })
+    const listener = vi.fn()
+    userStore.subscribe(listener)
+
+    userStore.set({ name: 'Winter' })
+
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+
+  it("should compare one level deep with 'shallow'", () => {
+    const items = [1, 2]
+    const listStore = store({ items }, { equals: 'shallow' })
+    const listener = vi.fn()
+    listStore.subscribe(listener)
+
+    listStore.set({ items })
+    expect(listener).not.toHaveBeenCalled()
+
+    listStore.set({ items: [1, 2] })
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+
+  it("should not drop Date, Map or Set updates with 'shallow'", () => {
+    const dateStore = store(new Date(1), { equals: 'shallow' })
+    const mapStore = store(new Map(), { equals: 'shallow' })
+    const setStore = store(new Set(), { equals: 'shallow' })
+
+    dateStore.set(new Date(2))
+    mapStore.set(new Map([['a', 1]]))
+    setStore.set(new Set([1]))
+
+    expect(dateStore.get().getTime()).toBe(2)
+    expect(mapStore.get().get('a')).toBe(1)
+    expect(setStore.get().has(1)).toBe(true)
+  })
+
+  it('should accept a custom equality function', () => {
+    const byId = (a, b) => a?.id === b?.id
+    const userStore = store({ id: 1, name: 'Winter' }, { equals: byId })
+
+    userStore.set({ id: 1, name: 'Karina' })
+    expect(userStore.get().name).toBe('Winter')
+
+    userStore.set({ id: 2, name: 'Karina' })
+    expect(userStore.get().name).toBe('Karina')
+  })
+
+  it('should use the equals option for derived stores', () => {
+    const countStore = store(1)
+    const listener = vi.fn()
+    const parityStore = store(get => ({ even: get(countStore) % 2 === 0 }), {
+      equals: 'is',
+    })
+    parityStore.subscribe(listener)
+
+    countStore.set(3)
+
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+
+  it('should keep the equals option on storage-backed copies', () => {
+    localStorage.clear()
+    const userStore = store({ name: 'Winter' }, { equals: 'is' }).local(
+      'equals-user'
+    )
+    const listener = vi.fn()
+    userStore.subscribe(listener)
+
+    userStore.set({ name: 'Winter' })
+
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+
+  it('should reject unknown equals options', () => {
+    expect(() => store(0, { equals: 'strict' })).toThrow(
+      'Unknown equals option "strict"'
+    )
+  })
+})
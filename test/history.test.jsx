@@ -0,0 +1,196 @@
+import React from 'react'
+import { store, useStoreValue, useHistory, batch } from '../src/index'
+import { render, screen, fireEvent, act } from '@testing-library/react'
+import { describe, it, expect } from 'vitest'
+
+describe('History', () => {
+  it('should undo and redo committed values', () => {
+    const countStore = store(0).history()
+
+    countStore.set(1)
+    countStore.set(2)
+
+    countStore.undo()
+    expect(countStore.get()).toBe(1)
+
+    countStore.undo()
+    expect(countStore.get()).toBe(0)
+
+    countStore.redo()
+    expect(countStore.get()).toBe(1)
+
+    countStore.redo()
+    expect(countStore.get()).toBe(2)
+  })
+
+  it('should expose canUndo and canRedo', () => {
+    const countStore = store(0).history()
+
+    expect(countStore.canUndo).toBe(false)
+    expect(countStore.canRedo).toBe(false)
+
+    countStore.set(1)
+    expect(countStore.canUndo).toBe(true)
+
+    countStore.undo()
+    expect(countStore.canUndo).toBe(false)
+    expect(countStore.canRedo).toBe(true)
+  })
+
+  it('should drop the redo stack after a new update', () => {
+    const countStore = store(0).history()
+
+    countStore.set(1)
+    countStore.undo()
+    countStore.set(5)
+
+    expect(countStore.canRedo).toBe(false)
+    countStore.undo()
+    expect(countStore.get()).toBe(0)
+  })
+
+  it('should record a nested path update as one entry', () => {
+    const docStore = store({ title: 'Draft', meta: { words: 0 } }).history()
+
+    docStore.title.set('Final')
+    docStore.meta.words.set(120)
+
+    docStore.undo()
+    expect(docStore.get()).toEqual({ title: 'Final', meta: { words: 0 } })
+
+    docStore.undo()
+    expect(docStore.get()).toEqual({ title: 'Draft', meta: { words: 0 } })
+  })
+
+  it('should record a batch as one entry', () => {
+    const docStore = store({ title: 'Draft', body: '' }).history()
+
+    batch(() => {
+      docStore.title.set('Final')
+      docStore.body.set('Hello')
+    })
+
+    expect(docStore.get()).toEqual({ title: 'Final', body: 'Hello' })
+
+    docStore.undo()
+    expect(docStore.get()).toEqual({ title: 'Draft', body: '' })
+    expect(docStore.canUndo).toBe(false)
+  })
+
+  it('should respect the history limit', () => {
+    const countStore = store(0).history({ limit: 2 })
+
+    countStore.set(1)
+    countStore.set(2)
+    countStore.set(3)
+
+    countStore.undo()
+    countStore.undo()
+    countStore.undo()
+
+    expect(countStore.get()).toBe(1)
+    expect(countStore.canUndo).toBe(false)
+  })
+
+  it('should clear the history', () => {
+    const countStore = store(0).history()
+
+    countStore.set(1)
+    countStore.set(2)
+    countStore.undo()
+    countStore.clear()
+
+    expect(countStore.canUndo).toBe(false)
+    expect(countStore.canRedo).toBe(false)
+    expect(countStore.get()).toBe(1)
+  })
+
+  it('should notify subscribers on undo and redo', () => {
+    const nameStore = store({ name: 'Winter' }).history()
+    const changes = []
+    nameStore.name.subscribe((next, prev) => changes.push([next, prev]))
+
+    nameStore.name.set('Karina')
+    nameStore.undo()
+    nameStore.redo()
+
+    expect(changes).toEqual([
+      ['Karina', 'Winter'],
+      ['Winter', 'Karina'],
+      ['Karina', 'Winter'],
+    ])
+  })
+
+  it('should throw when used on a derived store', () => {
+    const countStore = store(0)
+    const doubleStore = countStore.derive(count => count * 2)
+
+    expect(() => doubleStore.history()).toThrow(
+      'History is not supported on derived stores.'
+    )
+  })
+
+  it('should read a history key on nested paths as data', () => {
+    const userStore = store({ account: { history: ['login'] } }).history()
+
+    expect(userStore.account.history.get()).toEqual(['login'])
+    userStore.account.history.push('logout')
+
+    expect(userStore.get().account.history).toEqual(['login', 'logout'])
+    userStore.undo()
+    expect(userStore.account.history.get()).toEqual(['login'])
+  })
+
+  describe('useHistory', () => {
+    it('should provide undo/redo controls for toolbar buttons', () => {
+      const textStore = store('').history()
+
+      function Editor() {
+        const text = useStoreValue(textStore)
+        const { undo, redo, canUndo, canRedo } = useHistory(textStore)
+
+        return (
+          <div>
+            <p>Text: {text}</p>
+            <button onClick={undo} disabled={!canUndo}>
+              Undo
+            </button>
+            <button onClick={redo} disabled={!canRedo}>
+              Redo
+            </button>
+          </div>
+        )
+      }
+
+      render(<Editor />)
+
+      expect(screen.getByText('Undo')).toBeDisabled()
+      expect(screen.getByText('Redo')).toBeDisabled()
+
+      act(() => {
+        textStore.set('Hello')
+      })
+
+      expect(screen.getByText('Undo')).toBeEnabled()
+
+      fireEvent.click(screen.getByText('Undo'))
+
+      expect(screen.getByText('Text:')).toBeInTheDocument()
+      expect(screen.getByText('Undo')).toBeDisabled()
+      expect(screen.getByText('Redo')).toBeEnabled()
+    })
+
+    it('should throw for stores without history', () => {
+      const countStore = store(0)
+
+      function Toolbar() {
+        useHistory(countStore)
+        return null
+      }
+
+      expect(() => render(<Toolbar />)).toThrow(
+        'useHistory requires a store with history'
+      )
+    })
+  })
+})
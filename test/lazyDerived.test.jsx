@@ -0,0 +1,164 @@
+import React from 'react'
+import { store, useStoreValue } from '../src/index'
+import { render, act } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+
+describe('Lazy Derived Stores', () => {
+  it('should not compute until first read', () => {
+    const countStore = store(1)
+    const getter = vi.fn(get => get(countStore) * 2)
+    const doubleStore = store(getter)
+
+    expect(getter).not.toHaveBeenCalled()
+
+    expect(doubleStore.get()).toBe(2)
+    expect(getter).toHaveBeenCalledTimes(1)
+  })
+
+  it('should not recompute on upstream changes while unobserved', () => {
+    const countStore = store(1)
+    const getter = vi.fn(get => get(countStore) * 2)
+    const doubleStore = store(getter)
+    doubleStore.get()
+    getter.mockClear()
+
+    countStore.set(2)
+    countStore.set(3)
+
+    expect(getter).not.toHaveBeenCalled()
+    expect(doubleStore.get()).toBe(6)
+    expect(getter).toHaveBeenCalledTimes(1)
+  })
+
+  it('should reuse the cached value when dependencies are unchanged', () => {
+    const countStore = store(1)
+    const getter = vi.fn(get => get(countStore) * 2)
+    const doubleStore = store(getter)
+
+    doubleStore.get()
+    doubleStore.get()
+
+    expect(getter).toHaveBeenCalledTimes(1)
+  })
+
+  it('should keep the first .derive() call as the first computation', () => {
+    const countStore = store(1)
+    const double = vi.fn(count => count * 2)
+    const doubleStore = countStore.derive(double)
+
+    expect(doubleStore.get()).toBe(2)
+    expect(double).toHaveBeenCalledTimes(1)
+
+    countStore.set(2)
+    expect(doubleStore.get()).toBe(4)
+    expect(double).toHaveBeenCalledTimes(2)
+  })
+
+  it('should store errors thrown by the first .derive() call', () => {
+    const countStore = store(10)
+    const checkedStore = countStore.derive(count => {
+      if (count > 5) throw new Error('Count too high')
+      return count
+    })
+
+    expect(checkedStore.get()).toBe(undefined)
+    expect(checkedStore.error.message).toBe('Count too high')
+  })
+
+  it('should compute on first subscription and stay live', () => {
+    const countStore = store(1)
+    const getter = vi.fn(get => get(countStore) * 2)
+    const doubleStore = store(getter)
+    const listener = vi.fn()
+
+    doubleStore.subscribe(listener)
+    expect(getter).toHaveBeenCalledTimes(1)
+
+    countStore.set(2)
+
+    expect(getter).toHaveBeenCalledTimes(2)
+    expect(listener).toHaveBeenCalledWith(4, 2)
+  })
+
+  it('should detach once the last subscriber leaves', () => {
+    const countStore = store(1)
+    const getter = vi.fn(get => get(countStore) * 2)
+    const doubleStore = store(getter)
+
+    const unsubscribeFirst = doubleStore.subscribe(() => {})
+    const unsubscribeSecond = doubleStore.subscribe(() => {})
+    unsubscribeFirst()
+
+    countStore.set(2)
+    expect(getter).toHaveBeenCalledTimes(2)
+
+    unsubscribeSecond()
+    getter.mockClear()
+
+    countStore.set(3)
+    expect(getter).not.toHaveBeenCalled()
+  })
+
+  it('should only recompute on re-observe if dependencies changed', () => {
+    const countStore = store(1)
+    const getter = vi.fn(get => get(countStore) * 2)
+    const doubleStore = store(getter)
+
+    doubleStore.subscribe(() => {})()
+    getter.mockClear()
+
+    doubleStore.subscribe(() => {})()
+    expect(getter).not.toHaveBeenCalled()
+
+    countStore.set(5)
+    const listener = vi.fn()
+    doubleStore.subscribe(listener)
+
+    expect(getter).toHaveBeenCalledTimes(1)
+    expect(doubleStore.get()).toBe(10)
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  it('should keep upstream derived stores live through a live dependent', () => {
+    const countStore = store(1)
+    const doubleGetter = vi.fn(get => get(countStore) * 2)
+    const doubleStore = store(doubleGetter)
+    const quadrupleStore = doubleStore.derive(value => value * 2)
+    const listener = vi.fn()
+
+    const unsubscribe = quadrupleStore.subscribe(listener)
+    countStore.set(2)
+
+    expect(listener).toHaveBeenCalledWith(8, 4)
+
+    unsubscribe()
+    doubleGetter.mockClear()
+    countStore.set(3)
+
+    expect(doubleGetter).not.toHaveBeenCalled()
+    expect(quadrupleStore.get()).toBe(12)
+  })
+
+  it('should go live while a component is mounted', () => {
+    const countStore = store(1)
+    const getter = vi.fn(get => get(countStore) * 2)
+    const doubleStore = store(getter)
+
+    function Double() {
+      const value = useStoreValue(doubleStore)
+      return <p data-testid='double'>{value}</p>
+    }
+
+    const { getByTestId, unmount } = render(<Double />)
+    expect(getByTestId('double').textContent).toBe('2')
+
+    act(() => countStore.set(4))
+    expect(getByTestId('double').textContent).toBe('8')
+
+    unmount()
+    getter.mockClear()
+    countStore.set(5)
+
+    expect(getter).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,218 @@
+import { store, addMiddleware } from '../src/index'
+import { describe, it, expect, vi, afterEach } from 'vitest'
+
+describe('Middleware', () => {
+  const removers = []
+
+  afterEach(() => {
+    removers.splice(0).forEach(remove => remove())
+  })
+
+  const registerGlobal = middleware => {
+    removers.push(addMiddleware(middleware))
+  }
+
+  it('should pass store, path, prev and next to middleware', () => {
+    const userStore = store({ name: 'Winter' })
+    const middleware = vi.fn((context, commit) => commit())
+
+    userStore.addMiddleware(middleware)
+    userStore.name.set('Karina')
+
+    const [context] = middleware.mock.calls[0]
+    expect(context.store).toBe(userStore)
+    expect(context.path).toEqual(['name'])
+    expect(context.prev).toBe('Winter')
+    expect(context.next).toBe('Karina')
+    expect(userStore.name.get()).toBe('Karina')
+  })
+
+  it('should let middleware rewrite the next value', () => {
+    const nameStore = store('')
+
+    nameStore.addMiddleware((context, commit) => {
+      context.next = context.next.trim()
+      commit()
+    })
+    nameStore.set('  Giselle  ')
+
+    expect(nameStore.get()).toBe('Giselle')
+  })
+
+  it('should veto updates when commit is not called', () => {
+    const ageStore = store(20)
+    const listener = vi.fn()
+    ageStore.subscribe(listener)
+
+    ageStore.addMiddleware((context, commit) => {
+      if (context.next >= 0) commit()
+    })
+    ageStore.set(-1)
+
+    expect(ageStore.get()).toBe(20)
+    expect(listener).not.toHaveBeenCalled()
+
+    ageStore.set(21)
+    expect(ageStore.get()).toBe(21)
+  })
+
+  it('should propagate errors thrown by middleware', () => {
+    const ageStore = store(20)
+
+    ageStore.addMiddleware(context => {
+      if (typeof context.next !== 'number') {
+        throw new TypeError('Age must be a number')
+      }
+    })
+
+    expect(() => ageStore.set('twenty')).toThrow('Age must be a number')
+    expect(ageStore.get()).toBe(20)
+  })
+
+  it('should run code after commit once the value is written', () => {
+    const countStore = store(0)
+    const seen = []
+
+    countStore.addMiddleware((context, commit) => {
+      seen.push(['before', countStore.get()])
+      commit()
+      seen.push(['after', countStore.get()])
+    })
+    countStore.set(1)
+
+    expect(seen).toEqual([
+      ['before', 0],
+      ['after', 1],
+    ])
+  })
+
+  it('should run global middleware before store middleware', () => {
+    const countStore = store(0)
+    const order = []
+
+    registerGlobal((context, commit) => {
+      order.push('global')
+      commit()
+    })
+    countStore.addMiddleware((context, commit) => {
+      order.push('store')
+      commit()
+    })
+    countStore.set(1)
+
+    expect(order).toEqual(['global', 'store'])
+  })
+
+  it('should run global middleware for every store', () => {
+    const log = vi.fn((context, commit) => commit())
+    registerGlobal(log)
+
+    const firstStore = store(0)
+    const secondStore = store('a')
+    firstStore.set(1)
+    secondStore.set('b')
+
+    expect(log).toHaveBeenCalledTimes(2)
+  })
+
+  it('should scope middleware registered on a nested path', () => {
+    const appStore = store({ user: { name: 'Winter' }, theme: 'dark' })
+    const middleware = vi.fn((context, commit) => commit())
+
+    appStore.user.addMiddleware(middleware)
+
+    appStore.theme.set('light')
+    expect(middleware).not.toHaveBeenCalled()
+
+    appStore.user.name.set('Karina')
+    appStore.set({ user: { name: 'Ningning' }, theme: 'dark' })
+    expect(middleware).toHaveBeenCalledTimes(2)
+  })
+
+  it('should pass the values at its own path for parent updates', () => {
+    const userStore = store({ name: 'Winter', age: 24 })
+    const middleware = vi.fn((context, commit) => commit())
+
+    userStore.age.addMiddleware(middleware)
+    userStore.set({ name: 'Karina', age: 25 })
+
+    const [context] = middleware.mock.calls[0]
+    expect(context.path).toEqual(['age'])
+    expect(context.prev).toBe(24)
+    expect(context.next).toBe(25)
+  })
+
+  it('should skip nested middleware when a parent update leaves its path unchanged', () => {
+    const userStore = store({ name: 'Winter', age: 24 })
+    const middleware = vi.fn((context, commit) => {
+      if (context.next >= 0) commit()
+    })
+
+    userStore.age.addMiddleware(middleware)
+    userStore.merge({ name: 'Karina' })
+
+    expect(middleware).not.toHaveBeenCalled()
+    expect(userStore.get()).toEqual({ name: 'Karina', age: 24 })
+  })
+
+  it('should veto parent updates from nested middleware', () => {
+    const userStore = store({ name: 'Winter', age: 24 })
+
+    userStore.age.addMiddleware((context, commit) => {
+      if (context.next >= 0) commit()
+    })
+    userStore.set({ name: 'Karina', age: -1 })
+
+    expect(userStore.get()).toEqual({ name: 'Winter', age: 24 })
+  })
+
+  it('should write rewrites from nested middleware into the parent value', () => {
+    const userStore = store({ name: 'Winter', age: 24 })
+    const before = userStore.get()
+
+    userStore.name.addMiddleware((context, commit) => {
+      context.next = context.next.trim()
+      commit()
+    })
+    userStore.set({ name: '  Karina  ', age: 25 })
+
+    expect(userStore.get()).toEqual({ name: 'Karina', age: 25 })
+    expect(before).toEqual({ name: 'Winter', age: 24 })
+  })
+
+  it('should skip middleware when the value does not change', () => {
+    const countStore = store(0)
+    const middleware = vi.fn((context, commit) => commit())
+
+    countStore.addMiddleware(middleware)
+    countStore.set(0)
+
+    expect(middleware).not.toHaveBeenCalled()
+  })
+
+  it('should stop running once removed', () => {
+    const countStore = store(0)
+    const middleware = vi.fn((context, commit) => commit())
+
+    const remove = countStore.addMiddleware(middleware)
+    countStore.set(1)
+    remove()
+    countStore.set(2)
+
+    expect(middleware).toHaveBeenCalledTimes(1)
+    expect(countStore.get()).toBe(2)
+  })
+
+  it('should throw when commit is called twice', () => {
+    const countStore = store(0)
+
+    countStore.addMiddleware((context, commit) => {
+      commit()
+      commit()
+    })
+
+    expect(() => countStore.set(1)).toThrow(
+      'commit() called multiple times in store middleware'
+    )
+  })
+})
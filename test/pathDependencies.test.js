@@ -0,0 +1,125 @@
+import { store } from '../src/index'
+import { describe, it, expect, vi } from 'vitest'
+
+describe('Path-Aware Dependencies', () => {
+  it('should read the value at a nested path', () => {
+    const userStore = store({
+      profile: { name: 'Winter', origin: 'South Korea' },
+      settings: { theme: 'dark' },
+      tags: ['vocal', 'dance'],
+    })
+    const greetingStore = store(get => `Hi ${get(userStore.profile.name)}`)
+
+    expect(greetingStore.get()).toBe('Hi Winter')
+  })
+
+  it('should only recompute when the path it read changes', () => {
+    const userStore = store({
+      profile: { name: 'Winter', origin: 'South Korea' },
+      settings: { theme: 'dark' },
+      tags: ['vocal', 'dance'],
+    })
+    const getter = vi.fn(get => get(userStore.profile.name).toUpperCase())
+    const nameStore = store(getter)
+    nameStore.subscribe(() => {})
+    getter.mockClear()
+
+    userStore.settings.theme.set('light')
+    userStore.profile.origin.set('Japan')
+    expect(getter).not.toHaveBeenCalled()
+
+    userStore.profile.name.set('Karina')
+    expect(getter).toHaveBeenCalledTimes(1)
+    expect(nameStore.get()).toBe('KARINA')
+  })
+
+  it('should recompute when an ancestor replacement changes the path', () => {
+    const userStore = store({
+      profile: { name: 'Winter', origin: 'South Korea' },
+      settings: { theme: 'dark' },
+      tags: ['vocal', 'dance'],
+    })
+    const nameStore = store(get => get(userStore.profile.name))
+    const listener = vi.fn()
+    nameStore.subscribe(listener)
+
+    userStore.profile.set({ name: 'Giselle', origin: 'Japan' })
+
+    expect(listener).toHaveBeenCalledWith('Giselle', 'Winter')
+  })
+
+  it('should stay fresh on read while unobserved', () => {
+    const userStore = store({
+      profile: { name: 'Winter', origin: 'South Korea' },
+      settings: { theme: 'dark' },
+      tags: ['vocal', 'dance'],
+    })
+    const getter = vi.fn(get => get(userStore.tags[0]))
+    const firstTagStore = store(getter)
+    firstTagStore.get()
+
+    userStore.tags.push('rap')
+    expect(firstTagStore.get()).toBe('vocal')
+    expect(getter).toHaveBeenCalledTimes(1)
+
+    userStore.tags.insert(0, 'lead')
+    expect(firstTagStore.get()).toBe('lead')
+    expect(getter).toHaveBeenCalledTimes(2)
+  })
+
+  it('should track several paths of the same store', () => {
+    const userStore = store({
+      profile: { name: 'Winter', origin: 'South Korea' },
+      settings: { theme: 'dark' },
+      tags: ['vocal', 'dance'],
+    })
+    const getter = vi.fn(
+      get => `${get(userStore.profile.name)} (${get(userStore.settings.theme)})`
+    )
+    const labelStore = store(getter)
+    labelStore.subscribe(() => {})
+
+    userStore.settings.theme.set('light')
+
+    expect(labelStore.get()).toBe('Winter (light)')
+    expect(getter).toHaveBeenCalledTimes(2)
+  })
+
+  it('should read nested paths of derived stores', () => {
+    const userStore = store({
+      profile: { name: 'Winter', origin: 'South Korea' },
+      settings: { theme: 'dark' },
+      tags: ['vocal', 'dance'],
+    })
+    const summaryStore = store(get => ({
+      name: get(userStore.profile.name),
+      tagCount: get(userStore.tags).length,
+    }))
+    const getter = vi.fn(get => get(summaryStore.tagCount) * 10)
+    const scoreStore = store(getter)
+    scoreStore.subscribe(() => {})
+    getter.mockClear()
+
+    userStore.profile.name.set('Karina')
+    expect(getter).not.toHaveBeenCalled()
+
+    userStore.tags.push('rap')
+    expect(scoreStore.get()).toBe(30)
+  })
+
+  it('should derive from a nested path', () => {
+    const userStore = store({
+      profile: { name: 'Winter', origin: 'South Korea' },
+      settings: { theme: 'dark' },
+      tags: ['vocal', 'dance'],
+    })
+    const themeStore = userStore.settings.derive(settings => settings)
+
+    expect(themeStore.get()).toEqual({ theme: 'dark' })
+
+    themeStore.theme.set('light')
+
+    expect(userStore.settings.theme.get()).toBe('light')
+    expect(userStore.profile.name.get()).toBe('Winter')
+  })
+})
@@ -0,0 +1,134 @@
+import React from 'react'
+import { store, useStoreValue, batch } from '../src/index'
+import { render, screen, act } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+
+// Listener Set stored in the listener trie at the given path
+const listenersAt = (storeProxy, path) => {
+  let node = storeProxy._obj.listenerTree
+  for (const key of path) {
+    node = node?.children.get(key)
+  }
+  return node?.listeners
+}
+
+describe('Path-indexed Subscriptions', () => {
+  function Subscriber({ target }) {
+    const value = useStoreValue(target)
+    return <p>{JSON.stringify(value)}</p>
+  }
+
+  it('should store component subscriptions at their path', () => {
+    const userStore = store({
+      profile: { name: 'Irene', age: 30 },
+      settings: { theme: 'dark' },
+    })
+
+    const { unmount } = render(<Subscriber target={userStore.profile.name} />)
+
+    expect(listenersAt(userStore, ['profile', 'name']).size).toBe(1)
+    expect(userStore.listeners.size).toBe(0)
+
+    unmount()
+
+    // Empty branches are pruned once the last listener leaves
+    expect(userStore._obj.listenerTree.children.size).toBe(0)
+  })
+
+  it('should only wake listeners on the changed path, its ancestors and descendants', () => {
+    const userStore = store({
+      profile: { name: 'Irene', age: 30 },
+      settings: { theme: 'dark' },
+    })
+
+    render(
+      <>
+        <Subscriber target={userStore} />
+        <Subscriber target={userStore.profile} />
+        <Subscriber target={userStore.profile.name} />
+        <Subscriber target={userStore.profile.age} />
+        <Subscriber target={userStore.settings.theme} />
+      </>
+    )
+
+    const spies = {
+      root: vi.fn(),
+      profile: vi.fn(),
+      name: vi.fn(),
+      age: vi.fn(),
+      theme: vi.fn(),
+    }
+    userStore.listeners.add(spies.root)
+    listenersAt(userStore, ['profile']).add(spies.profile)
+    listenersAt(userStore, ['profile', 'name']).add(spies.name)
+    listenersAt(userStore, ['profile', 'age']).add(spies.age)
+    listenersAt(userStore, ['settings', 'theme']).add(spies.theme)
+
+    act(() => {
+      userStore.profile.name.set('Seulgi')
+    })
+
+    expect(spies.root).toHaveBeenCalledTimes(1)
+    expect(spies.profile).toHaveBeenCalledTimes(1)
+    expect(spies.name).toHaveBeenCalledTimes(1)
+    expect(spies.age).not.toHaveBeenCalled()
+    expect(spies.theme).not.toHaveBeenCalled()
+
+    // Setting an ancestor wakes every listener below it
+    act(() => {
+      userStore.profile.set({ name: 'Wendy', age: 29 })
+    })
+
+    expect(spies.name).toHaveBeenCalledTimes(2)
+    expect(spies.age).toHaveBeenCalledTimes(1)
+    expect(spies.theme).not.toHaveBeenCalled()
+    expect(screen.getByText('"Wendy"')).toBeInTheDocument()
+    expect(screen.getByText('29')).toBeInTheDocument()
+  })
+
+  it('should call each listener once per batch across several paths', () => {
+    const userStore = store({
+      profile: { name: 'Irene', age: 30 },
+      settings: { theme: 'dark' },
+    })
+    const rootListener = vi.fn()
+    userStore.listeners.add(rootListener)
+
+    batch(() => {
+      userStore.profile.name.set('Joy')
+      userStore.settings.theme.set('light')
+    })
+
+    expect(rootListener).toHaveBeenCalledTimes(1)
+  })
+
+  it('should not re-render components subscribed to sibling indices', () => {
+    const commentsStore = store(
+      Array.from({ length: 100 }, (_, i) => ({ text: `comment-${i}` }))
+    )
+    const renders = vi.fn()
+
+    const Comment = React.memo(function Comment({ index }) {
+      renders(index)
+      const comment = useStoreValue(commentsStore[index])
+      return <p>{comment.text}</p>
+    })
+
+    render(
+      <>
+        {Array.from({ length: 100 }, (_, i) => (
+          <Comment key={i} index={i} />
+        ))}
+      </>
+    )
+    renders.mockClear()
+
+    act(() => {
+      commentsStore[42].text.set('edited')
+    })
+
+    expect(renders).toHaveBeenCalledTimes(1)
+    expect(renders).toHaveBeenCalledWith(42)
+    expect(screen.getByText('edited')).toBeInTheDocument()
+  })
+})
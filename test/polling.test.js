@@ -0,0 +1,173 @@
+import { store } from '../src/index'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+// Resolves with the call count, after ms if given
+const request = ms => {
+  let calls = 0
+  return vi.fn(() => {
+    const call = ++calls
+    if (!ms) return Promise.resolve(call)
+    return new Promise(resolve => setTimeout(() => resolve(call), ms))
+  })
+}
+
+const setDocumentHidden = hidden => {
+  Object.defineProperty(document, 'hidden', {
+    configurable: true,
+    get: () => hidden,
+  })
+  document.dispatchEvent(new Event('visibilitychange'))
+}
+
+describe('Polling', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    delete document.hidden
+  })
+
+  it('should refetch every refreshInterval while subscribed', async () => {
+    const fetchStats = request()
+    const statsStore = store().async(fetchStats, { refreshInterval: 1000 })
+    statsStore.subscribe(() => {})
+
+    await vi.advanceTimersByTimeAsync(0)
+    expect(statsStore.get()).toBe(1)
+
+    await vi.advanceTimersByTimeAsync(1000)
+    expect(fetchStats).toHaveBeenCalledTimes(2)
+    expect(statsStore.get()).toBe(2)
+
+    await vi.advanceTimersByTimeAsync(1000)
+    expect(fetchStats).toHaveBeenCalledTimes(3)
+  })
+
+  it('should poll async derived stores with their last input', async () => {
+    const idStore = store(7)
+    const fetchUser = vi.fn(id => Promise.resolve({ id }))
+    const userStore = idStore.derive(fetchUser, { refreshInterval: 1000 })
+    userStore.subscribe(() => {})
+
+    await vi.advanceTimersByTimeAsync(1000)
+
+    expect(fetchUser).toHaveBeenCalledTimes(2)
+    expect(fetchUser.mock.calls[1][0]).toBe(7)
+    expect(userStore.get()).toEqual({ id: 7 })
+  })
+
+  it('should not poll without subscribers', async () => {
+    const fetchStats = request()
+    store().async(fetchStats, { refreshInterval: 1000 })
+
+    await vi.advanceTimersByTimeAsync(5000)
+
+    expect(fetchStats).toHaveBeenCalledTimes(1)
+  })
+
+  it('should pause when the last subscriber leaves and resume on subscribe', async () => {
+    const fetchStats = request()
+    const statsStore = store().async(fetchStats, { refreshInterval: 1000 })
+    const unsubscribe = statsStore.subscribe(() => {})
+    await vi.advanceTimersByTimeAsync(500)
+
+    unsubscribe()
+    await vi.advanceTimersByTimeAsync(5000)
+    expect(fetchStats).toHaveBeenCalledTimes(1)
+
+    // The interval ran out while paused, so it polls right away
+    statsStore.subscribe(() => {})
+    await vi.advanceTimersByTimeAsync(0)
+    expect(fetchStats).toHaveBeenCalledTimes(2)
+  })
+
+  it('should wait out the rest of the interval on resubscribe', async () => {
+    const fetchStats = request()
+    const statsStore = store().async(fetchStats, { refreshInterval: 1000 })
+    const unsubscribe = statsStore.subscribe(() => {})
+    await vi.advanceTimersByTimeAsync(400)
+
+    unsubscribe()
+    statsStore.subscribe(() => {})
+    await vi.advanceTimersByTimeAsync(599)
+    expect(fetchStats).toHaveBeenCalledTimes(1)
+
+    await vi.advanceTimersByTimeAsync(1)
+    expect(fetchStats).toHaveBeenCalledTimes(2)
+  })
+
+  it('should not overlap polls with requests in flight', async () => {
+    const fetchStats = request(3000)
+    const statsStore = store().async(fetchStats, { refreshInterval: 1000 })
+    statsStore.subscribe(() => {})
+
+    await vi.advanceTimersByTimeAsync(3000)
+    expect(fetchStats).toHaveBeenCalledTimes(1)
+
+    // The next poll starts an interval after the first request settled
+    await vi.advanceTimersByTimeAsync(999)
+    expect(fetchStats).toHaveBeenCalledTimes(1)
+    await vi.advanceTimersByTimeAsync(1)
+    expect(fetchStats).toHaveBeenCalledTimes(2)
+
+    await vi.advanceTimersByTimeAsync(3999)
+    expect(fetchStats).toHaveBeenCalledTimes(2)
+  })
+
+  it('should restart the interval after a refetch', async () => {
+    const fetchStats = request()
+    const statsStore = store().async(fetchStats, { refreshInterval: 1000 })
+    statsStore.subscribe(() => {})
+    await vi.advanceTimersByTimeAsync(600)
+
+    statsStore.refetch()
+    await vi.advanceTimersByTimeAsync(999)
+    expect(fetchStats).toHaveBeenCalledTimes(2)
+
+    await vi.advanceTimersByTimeAsync(1)
+    expect(fetchStats).toHaveBeenCalledTimes(3)
+  })
+
+  it('should pause while the document is hidden with pauseWhenHidden', async () => {
+    const fetchStats = request()
+    const statsStore = store().async(fetchStats, {
+      refreshInterval: 1000,
+      pauseWhenHidden: true,
+    })
+    statsStore.subscribe(() => {})
+    await vi.advanceTimersByTimeAsync(0)
+
+    setDocumentHidden(true)
+    await vi.advanceTimersByTimeAsync(5000)
+    expect(fetchStats).toHaveBeenCalledTimes(1)
+
+    setDocumentHidden(false)
+    await vi.advanceTimersByTimeAsync(0)
+    expect(fetchStats).toHaveBeenCalledTimes(2)
+  })
+
+  it('should keep polling while hidden without pauseWhenHidden', async () => {
+    const fetchStats = request()
+    const statsStore = store().async(fetchStats, { refreshInterval: 1000 })
+    statsStore.subscribe(() => {})
+
+    setDocumentHidden(true)
+    await vi.advanceTimersByTimeAsync(1000)
+
+    expect(fetchStats).toHaveBeenCalledTimes(2)
+  })
+
+  it('should stop polling when the store is disposed', async () => {
+    const fetchStats = request()
+    const statsStore = store().async(fetchStats, { refreshInterval: 1000 })
+    statsStore.subscribe(() => {})
+    await vi.advanceTimersByTimeAsync(0)
+
+    statsStore.dispose()
+    await vi.advanceTimersByTimeAsync(5000)
+
+    expect(fetchStats).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,96 @@
+import { store, batch } from '../src/index'
+import { describe, it, expect, vi } from 'vitest'
+
+describe('Derived Store Propagation', () => {
+  it('should recompute a diamond dependency once per change', () => {
+    const countStore = store(1)
+    const plusOneStore = countStore.derive(count => count + 1)
+    const timesTwoStore = countStore.derive(count => count * 2)
+    const getter = vi.fn(get => [get(plusOneStore), get(timesTwoStore)])
+    const pairStore = store(getter)
+    const listener = vi.fn()
+
+    pairStore.subscribe(listener)
+    getter.mockClear()
+
+    countStore.set(5)
+
+    expect(getter).toHaveBeenCalledTimes(1)
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(listener).toHaveBeenCalledWith([6, 10], [2, 2])
+  })
+
+  it('should never expose inconsistent intermediate values', () => {
+    const countStore = store(1)
+    const plusOneStore = countStore.derive(count => count + 1)
+    const timesTwoStore = countStore.derive(count => count * 2)
+    const seen = []
+    const pairStore = store(get => {
+      const pair = [get(plusOneStore), get(timesTwoStore)]
+      seen.push(pair)
+      return pair
+    })
+
+    pairStore.subscribe(() => {})
+    countStore.set(2)
+    countStore.set(3)
+
+    seen.forEach(([plusOne, timesTwo]) => {
+      expect(timesTwo).toBe((plusOne - 1) * 2)
+    })
+  })
+
+  it('should order dependents of uneven depth', () => {
+    const countStore = store(1)
+    const doubleStore = countStore.derive(count => count * 2)
+    const quadrupleStore = doubleStore.derive(double => double * 2)
+    const getter = vi.fn(get => get(countStore) + get(quadrupleStore))
+    const totalStore = store(getter)
+
+    totalStore.subscribe(() => {})
+    getter.mockClear()
+
+    countStore.set(2)
+
+    expect(getter).toHaveBeenCalledTimes(1)
+    expect(totalStore.get()).toBe(10)
+  })
+
+  it('should notify listeners after every store has settled', () => {
+    const countStore = store(1)
+    const doubleStore = countStore.derive(count => count * 2)
+    const tripleStore = countStore.derive(count => count * 3)
+    const snapshots = []
+
+    doubleStore.subscribe(() => {
+      snapshots.push([countStore.get(), doubleStore.value, tripleStore.value])
+    })
+    tripleStore.subscribe(() => {})
+
+    countStore.set(2)
+
+    expect(snapshots).toEqual([[2, 4, 6]])
+  })
+
+  it('should recompute each store once for a batch touching several roots', () => {
+    const firstStore = store(1)
+    const secondStore = store(2)
+    const sumGetter = vi.fn(get => get(firstStore) + get(secondStore))
+    const sumStore = store(sumGetter)
+    const doubleGetter = vi.fn(get => get(sumStore) * 2)
+    const doubleStore = store(doubleGetter)
+
+    doubleStore.subscribe(() => {})
+    sumGetter.mockClear()
+    doubleGetter.mockClear()
+
+    batch(() => {
+      firstStore.set(10)
+      secondStore.set(20)
+    })
+
+    expect(sumGetter).toHaveBeenCalledTimes(1)
+    expect(doubleGetter).toHaveBeenCalledTimes(1)
+    expect(doubleStore.get()).toBe(60)
+  })
+})
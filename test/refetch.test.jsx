@@ -0,0 +1,170 @@
+import React from 'react'
+import { store, useStoreValue, useRefetch } from '../src/index'
+import { render, act, fireEvent } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('Refetching', () => {
+  describe('refetch()', () => {
+    it('should rerun an async store', async () => {
+      let count = 0
+      const countStore = store().async(() => Promise.resolve(++count))
+      await wait(0)
+      expect(countStore.get()).toBe(1)
+
+      await countStore.refetch()
+
+      expect(countStore.get()).toBe(2)
+    })
+
+    it('should rerun an async derived store with its last input', async () => {
+      const idStore = store(1)
+      const fetchUser = vi.fn(id => Promise.resolve({ id }))
+      const userStore = idStore.derive(fetchUser)
+      await wait(0)
+
+      const refetching = userStore.refetch()
+      expect(userStore.get()).toEqual({ loading: true })
+      await refetching
+
+      expect(fetchUser).toHaveBeenCalledTimes(2)
+      expect(fetchUser.mock.calls[1][0]).toBe(1)
+      expect(userStore.get()).toEqual({ id: 1 })
+    })
+
+    it('should retry after an error', async () => {
+      let attempts = 0
+      const dataStore = store().async(() =>
+        ++attempts === 1 ?
+          Promise.reject(new Error('Offline'))
+        : Promise.resolve('data')
+      )
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+      await wait(0)
+      expect(dataStore.get().error).toBe(true)
+
+      await dataStore.refetch()
+
+      expect(dataStore.get()).toBe('data')
+      consoleSpy.mockRestore()
+    })
+
+    it('should abort the request in flight', async () => {
+      const signals = []
+      const results = [
+        new Promise(resolve => setTimeout(() => resolve('first'), 20)),
+        Promise.resolve('second'),
+      ]
+      const dataStore = store().async(({ signal }) => {
+        signals.push(signal)
+        return results[signals.length - 1]
+      })
+
+      await dataStore.refetch()
+      await wait(30)
+
+      expect(signals[0].aborted).toBe(true)
+      expect(dataStore.get()).toBe('second')
+    })
+
+    it('should refetch a nested path loaded with .async()', async () => {
+      let count = 0
+      const pageStore = store({ title: 'Home', stats: null })
+      pageStore.stats.async(() => Promise.resolve({ views: ++count }))
+      await wait(0)
+
+      await pageStore.stats.views.refetch()
+
+      expect(pageStore.get()).toEqual({ title: 'Home', stats: { views: 2 } })
+    })
+
+    it('should throw on stores without an async operation', () => {
+      const countStore = store(0)
+
+      expect(() => countStore.refetch()).toThrow(
+        'Cannot refetch a store without an async operation'
+      )
+    })
+  })
+
+  describe('invalidate()', () => {
+    it('should refetch right away when the store is observed', async () => {
+      const fetchTodos = vi.fn(() => Promise.resolve(['a']))
+      const todosStore = store().async(fetchTodos)
+      todosStore.subscribe(() => {})
+
+      todosStore.invalidate()
+
+      expect(fetchTodos).toHaveBeenCalledTimes(2)
+    })
+
+    it('should wait for the next subscription when unobserved', async () => {
+      const fetchTodos = vi.fn(() => Promise.resolve(['a']))
+      const todosStore = store().async(fetchTodos)
+
+      todosStore.invalidate()
+      expect(fetchTodos).toHaveBeenCalledTimes(1)
+
+      todosStore.subscribe(() => {})
+      expect(fetchTodos).toHaveBeenCalledTimes(2)
+
+      todosStore.subscribe(() => {})
+      expect(fetchTodos).toHaveBeenCalledTimes(2)
+    })
+
+    it('should refetch on the next read when unobserved', async () => {
+      const idStore = store(1)
+      const fetchUser = vi.fn(id => Promise.resolve({ id }))
+      const userStore = idStore.derive(fetchUser)
+      await wait(0)
+
+      userStore.invalidate()
+      expect(fetchUser).toHaveBeenCalledTimes(1)
+
+      expect(userStore.get()).toEqual({ loading: true })
+      expect(fetchUser).toHaveBeenCalledTimes(2)
+      await wait(0)
+      expect(userStore.get()).toEqual({ id: 1 })
+    })
+  })
+
+  describe('useRefetch', () => {
+    it('should refetch from a component', async () => {
+      let count = 0
+      const countStore = store().async(() => Promise.resolve(++count))
+
+      function Counter() {
+        const value = useStoreValue(countStore)
+        const refetch = useRefetch(countStore)
+        return <button onClick={refetch}>{value}</button>
+      }
+
+      const { getByRole } = render(<Counter />)
+      await act(() => wait(0))
+      expect(getByRole('button').textContent).toBe('1')
+
+      await act(async () => {
+        fireEvent.click(getByRole('button'))
+        await wait(0)
+      })
+
+      expect(getByRole('button').textContent).toBe('2')
+    })
+
+    it('should return a stable function', () => {
+      const dataStore = store().async(() => Promise.resolve('data'))
+      const refetches = []
+
+      function Data() {
+        refetches.push(useRefetch(dataStore))
+        return null
+      }
+
+      const { rerender } = render(<Data />)
+      rerender(<Data />)
+
+      expect(refetches[0]).toBe(refetches[1])
+    })
+  })
+})
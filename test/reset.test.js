@@ -0,0 +1,86 @@
+import { store, resetAllStores } from '../src/index'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+describe('Resetting Stores', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('should restore the initial value of a store', () => {
+    const userStore = store({ name: 'Winter', origin: 'South Korea' })
+
+    userStore.set({ name: 'Karina', origin: 'Japan' })
+    userStore.reset()
+
+    expect(userStore.get()).toEqual({ name: 'Winter', origin: 'South Korea' })
+  })
+
+  it('should restore only the nested path that is reset', () => {
+    const userStore = store({ name: 'Winter', origin: 'South Korea' })
+
+    userStore.name.set('Karina')
+    userStore.origin.set('Japan')
+    userStore.name.reset()
+
+    expect(userStore.get()).toEqual({ name: 'Winter', origin: 'Japan' })
+  })
+
+  it('should notify subscribers when reset', () => {
+    const countStore = store(0)
+    const listener = vi.fn()
+
+    countStore.set(5)
+    countStore.subscribe(listener)
+    countStore.reset()
+
+    expect(listener).toHaveBeenCalledWith(0, 5)
+  })
+
+  it('should reset storage-backed stores to their initial value', async () => {
+    const settingsStore = store({ theme: 'dark' }).local('reset-settings')
+
+    settingsStore.theme.set('light')
+    settingsStore.reset()
+
+    expect(settingsStore.get()).toEqual({ theme: 'dark' })
+
+    await new Promise(resolve => setTimeout(resolve, 10))
+    expect(JSON.parse(localStorage.getItem('reset-settings'))).toEqual({
+      theme: 'dark',
+    })
+  })
+
+  describe('resetAllStores', () => {
+    it('should reset every store and recompute derived stores', () => {
+      const countStore = store(1)
+      const userStore = store({ name: 'Winter' })
+      const doubleStore = countStore.derive(count => count * 2)
+
+      countStore.set(10)
+      userStore.name.set('Karina')
+      expect(doubleStore.get()).toBe(20)
+
+      resetAllStores()
+
+      expect(countStore.get()).toBe(1)
+      expect(userStore.get()).toEqual({ name: 'Winter' })
+      expect(doubleStore.get()).toBe(2)
+    })
+
+    it('should notify each store once', () => {
+      const firstStore = store('a')
+      const secondStore = store('b')
+      const sumStore = store(get => get(firstStore) + get(secondStore))
+      const listener = vi.fn()
+
+      firstStore.set('x')
+      secondStore.set('y')
+      sumStore.subscribe(listener)
+
+      resetAllStores()
+
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(listener).toHaveBeenCalledWith('ab', 'xy')
+    })
+  })
+})
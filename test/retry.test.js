@@ -0,0 +1,190 @@
+import { store, combine, isError } from '../src/index'
+import { describe, it, expect, vi } from 'vitest'
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// Fails the first `failures` calls, then resolves with the call count
+const flaky = (failures, error = new Error('Unavailable')) => {
+  let calls = 0
+  return vi.fn(() =>
+    ++calls <= failures ? Promise.reject(error) : Promise.resolve(calls)
+  )
+}
+
+describe('Retrying Async Stores', () => {
+  it('should retry failed requests of async derived stores', async () => {
+    const request = flaky(2)
+    const idStore = store(1)
+    const dataStore = idStore.derive(request, { retry: 3, retryDelay: 1 })
+
+    await wait(20)
+
+    expect(request).toHaveBeenCalledTimes(3)
+    expect(dataStore.get()).toBe(3)
+  })
+
+  it('should give up after the retry limit', async () => {
+    const request = flaky(5)
+    const idStore = store(1)
+    const dataStore = idStore.derive(request, { retry: 2, retryDelay: 1 })
+
+    await wait(20)
+
+    expect(request).toHaveBeenCalledTimes(3)
+    expect(isError(dataStore.get())).toBe(true)
+  })
+
+  it('should not retry without the retry option', async () => {
+    const request = flaky(1)
+    const idStore = store(1)
+    const dataStore = idStore.derive(request)
+
+    await wait(20)
+
+    expect(request).toHaveBeenCalledTimes(1)
+    expect(isError(dataStore.get())).toBe(true)
+  })
+
+  it('should pass the failed attempt to retryDelay', async () => {
+    const retryDelay = vi.fn(() => 1)
+    const idStore = store(1)
+    idStore.derive(flaky(2), { retry: 3, retryDelay })
+
+    await wait(20)
+
+    expect(retryDelay.mock.calls).toEqual([[1], [2]])
+  })
+
+  it('should back off exponentially by default', async () => {
+    vi.useFakeTimers()
+    const request = flaky(2)
+    const idStore = store(1)
+    idStore.derive(request, { retry: 3 })
+
+    await vi.advanceTimersByTimeAsync(999)
+    expect(request).toHaveBeenCalledTimes(1)
+    await vi.advanceTimersByTimeAsync(1)
+    expect(request).toHaveBeenCalledTimes(2)
+
+    await vi.advanceTimersByTimeAsync(1999)
+    expect(request).toHaveBeenCalledTimes(2)
+    await vi.advanceTimersByTimeAsync(1)
+    expect(request).toHaveBeenCalledTimes(3)
+    vi.useRealTimers()
+  })
+
+  it('should stop retrying when retryIf returns false', async () => {
+    const notFound = Object.assign(new Error('Not found'), { status: 404 })
+    const request = flaky(3, notFound)
+    const idStore = store(1)
+    const dataStore = idStore.derive(request, {
+      retry: 3,
+      retryDelay: 1,
+      retryIf: error => error.status >= 500,
+    })
+
+    await wait(20)
+
+    expect(request).toHaveBeenCalledTimes(1)
+    expect(dataStore.get().status).toBe(404)
+  })
+
+  it('should count attempts in stale-while-revalidate states', async () => {
+    const idStore = store(1)
+    const attempts = []
+    const dataStore = idStore.derive(flaky(2), {
+      swr: true,
+      retry: 2,
+      retryDelay: 1,
+    })
+    dataStore.subscribe(state => attempts.push(state.attempt))
+
+    await wait(20)
+
+    expect(attempts).toEqual([2, 3, 3])
+    expect(dataStore.get().status).toBe('success')
+    expect(dataStore.get().attempt).toBe(3)
+  })
+
+  it('should show the attempt in the loading state', async () => {
+    const idStore = store(1)
+    const values = []
+    const dataStore = idStore.derive(flaky(1), { retry: 1, retryDelay: 1 })
+    expect(dataStore.get()).toEqual({ loading: true, attempt: 1 })
+    dataStore.subscribe(value => values.push(value))
+
+    await wait(20)
+
+    expect(values).toEqual([{ loading: true, attempt: 2 }, 2])
+  })
+
+  it('should cancel retries when the input changes', async () => {
+    const idStore = store(1)
+    const request = vi.fn(id =>
+      id === 1 ? Promise.reject(new Error('Unavailable')) : Promise.resolve(id)
+    )
+    const dataStore = idStore.derive(request, { retry: 3, retryDelay: 10 })
+    dataStore.subscribe(() => {})
+    await wait(0)
+
+    idStore.set(2)
+    await wait(50)
+
+    expect(request.mock.calls.map(([id]) => id)).toEqual([1, 2])
+    expect(dataStore.get()).toBe(2)
+  })
+
+  it('should cancel retries when the store is disposed', async () => {
+    const request = flaky(3)
+    const idStore = store(1)
+    const dataStore = idStore.derive(request, { retry: 3, retryDelay: 10 })
+    await wait(0)
+
+    dataStore.dispose()
+    await wait(50)
+
+    expect(request).toHaveBeenCalledTimes(1)
+  })
+
+  it('should retry .async() stores', async () => {
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const request = flaky(1)
+    const dataStore = store().async(request, { retry: 1, retryDelay: 1 })
+
+    await wait(20)
+
+    expect(request).toHaveBeenCalledTimes(2)
+    expect(dataStore.get()).toBe(2)
+    expect(consoleSpy).not.toHaveBeenCalled()
+    consoleSpy.mockRestore()
+  })
+
+  it('should show the attempt in .async() stores', async () => {
+    const values = []
+    const dataStore = store('cached')
+    dataStore.subscribe(value => values.push(value))
+
+    dataStore.async(flaky(2), { retry: 2, retryDelay: 1 })
+    await wait(20)
+
+    expect(values).toEqual([
+      { loading: true, attempt: 1 },
+      { loading: true, attempt: 2 },
+      { loading: true, attempt: 3 },
+      3,
+    ])
+  })
+
+  it('should retry async combine stores', async () => {
+    const request = flaky(1)
+    const dataStore = combine([store(1), store(2)], request, {
+      retry: 1,
+      retryDelay: 1,
+    })
+    dataStore.subscribe(() => {})
+
+    await wait(20)
+
+    expect(dataStore.get()).toBe(2)
+  })
+})
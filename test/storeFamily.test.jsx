@@ -0,0 +1,211 @@
+import React from 'react'
+import { store, storeFamily, useStoreValue } from '../src/index'
+import { render, act } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const flushMicrotasks = () => new Promise(resolve => setTimeout(resolve, 0))
+
+describe('Store Families', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('should create a store per parameter from an initial value', () => {
+    const counterFamily = storeFamily(id => ({ id, count: 0 }))
+
+    counterFamily(1).count.set(5)
+
+    expect(counterFamily(1).get()).toEqual({ id: 1, count: 5 })
+    expect(counterFamily(2).get()).toEqual({ id: 2, count: 0 })
+  })
+
+  it('should return the same store for deeply equal parameters', () => {
+    const create = vi.fn(() => [])
+    const listFamily = storeFamily(create)
+
+    const first = listFamily({ userId: 1, page: 2 })
+    const second = listFamily({ page: 2, userId: 1 })
+
+    expect(second === first).toBe(true)
+    expect(create).toHaveBeenCalledTimes(1)
+  })
+
+  it('should create derived stores from getters', () => {
+    const usersStore = store({ a: { name: 'Winter' }, b: { name: 'Karina' } })
+    const nameFamily = storeFamily(id => get => get(usersStore[id].name))
+
+    usersStore.b.name.set('Giselle')
+
+    expect(nameFamily('a').get()).toBe('Winter')
+    expect(nameFamily('b').get()).toBe('Giselle')
+  })
+
+  it('should accept stores created with .derive()', () => {
+    const pricesStore = store({ apple: 1, pear: 2 })
+    const priceFamily = storeFamily(fruit =>
+      pricesStore.derive(prices => prices[fruit] * 100)
+    )
+
+    pricesStore.pear.set(3)
+
+    expect(priceFamily('pear').get()).toBe(300)
+    expect(priceFamily('pear').isDerived).toBe(true)
+  })
+
+  it('should accept stores created with .async()', async () => {
+    const userFamily = storeFamily(id =>
+      store(null).async(() => Promise.resolve({ id, name: `User ${id}` }))
+    )
+
+    const userStore = userFamily(7)
+    await flushMicrotasks()
+
+    expect(userStore.get()).toEqual({ id: 7, name: 'User 7' })
+    expect(userFamily(7) === userStore).toBe(true)
+  })
+
+  it('should accept stores created with .local()', () => {
+    const draftFamily = storeFamily(id => store('').local(`draft-${id}`))
+
+    draftFamily(1).set('Hello')
+
+    expect(draftFamily(1).get()).toBe('Hello')
+    expect(draftFamily(2).get()).toBe('')
+  })
+
+  it('should create a new store after remove()', () => {
+    const counterFamily = storeFamily(() => 0)
+    const first = counterFamily('a')
+    first.set(3)
+
+    counterFamily.remove('a')
+
+    expect(counterFamily('a') === first).toBe(false)
+    expect(counterFamily('a').get()).toBe(0)
+  })
+
+  it('should drop every store on clear()', () => {
+    const counterFamily = storeFamily(() => 0)
+    const first = counterFamily('a')
+
+    counterFamily.clear()
+
+    expect(counterFamily('a') === first).toBe(false)
+  })
+
+  it('should evict the least recently used store beyond maxSize', () => {
+    const create = vi.fn(id => id)
+    const numberFamily = storeFamily(create, { maxSize: 2 })
+
+    const one = numberFamily(1)
+    const two = numberFamily(2)
+    numberFamily(1)
+    numberFamily(3)
+
+    expect(numberFamily(1) === one).toBe(true)
+    expect(numberFamily(2) === two).toBe(false)
+    expect(create).toHaveBeenCalledTimes(4)
+  })
+
+  it('should stop async stores from fetching after remove() and eviction', async () => {
+    const idStore = store(1)
+    const fetchUser = vi.fn((id, key) => Promise.resolve({ id, key }))
+    const userFamily = storeFamily(
+      key => idStore.derive(id => fetchUser(id, key)),
+      { maxSize: 1 }
+    )
+    const removed = userFamily('a')
+    const evicted = userFamily('b')
+    userFamily.remove('b')
+    userFamily('c')
+    await flushMicrotasks()
+    fetchUser.mockClear()
+
+    idStore.set(2)
+
+    expect(fetchUser.mock.calls.map(([, key]) => key)).toEqual(['c'])
+    expect(() => removed.get()).toThrow('Cannot use disposed store')
+    expect(() => evicted.get()).toThrow('Cannot use disposed store')
+  })
+
+  it('should dispose removed stores once their last subscriber leaves', () => {
+    const counterFamily = storeFamily(() => 0)
+    const first = counterFamily('a')
+    const unsubscribe = first.subscribe(() => {})
+
+    counterFamily.remove('a')
+    expect(first.get()).toBe(0)
+
+    unsubscribe()
+    expect(() => first.get()).toThrow('Cannot use disposed store')
+  })
+
+  it('should not dispose stores the factory did not create', () => {
+    const sharedStore = store(0)
+    const sharedFamily = storeFamily(() => sharedStore)
+    sharedFamily('a')
+
+    sharedFamily.remove('a')
+
+    expect(sharedStore.get()).toBe(0)
+  })
+
+  it('should dispose stores once unobserved', async () => {
+    const counterFamily = storeFamily(() => 0, { disposeWhenUnobserved: true })
+    const first = counterFamily('a')
+
+    const unsubscribe = first.subscribe(() => {})
+    expect(counterFamily('a') === first).toBe(true)
+
+    unsubscribe()
+    await flushMicrotasks()
+
+    expect(counterFamily('a') === first).toBe(false)
+  })
+
+  it('should not dispose passed-along stores once unobserved', async () => {
+    const sharedStore = store(0)
+    const sharedFamily = storeFamily(() => sharedStore, {
+      disposeWhenUnobserved: true,
+    })
+
+    sharedFamily('a').subscribe(() => {})()
+    await flushMicrotasks()
+
+    expect(sharedStore.get()).toBe(0)
+  })
+
+  it('should keep stores that are resubscribed right away', async () => {
+    const counterFamily = storeFamily(() => 0, { disposeWhenUnobserved: true })
+    const first = counterFamily('a')
+
+    first.subscribe(() => {})()
+    first.subscribe(() => {})
+    await flushMicrotasks()
+
+    expect(counterFamily('a') === first).toBe(true)
+  })
+
+  it('should dispose stores when components unmount', async () => {
+    const counterFamily = storeFamily(id => id * 10, {
+      disposeWhenUnobserved: true,
+    })
+
+    function Counter({ id }) {
+      const count = useStoreValue(counterFamily(id))
+      return <p data-testid='count'>{count}</p>
+    }
+
+    const first = counterFamily(1)
+    const { getByTestId, unmount } = render(<Counter id={1} />)
+    expect(getByTestId('count').textContent).toBe('10')
+    expect(counterFamily(1) === first).toBe(true)
+
+    await act(async () => {
+      unmount()
+      await flushMicrotasks()
+    })
+
+    expect(counterFamily(1) === first).toBe(false)
+  })
+})
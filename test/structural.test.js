@@ -0,0 +1,234 @@
+import { store, addMiddleware } from '../src/index'
+import { describe, it, expect, vi } from 'vitest'
+
+// Attach a raw listener at a path to observe which subscribers are woken
+const spyAt = storeProxy => {
+  const spy = vi.fn()
+  storeProxy.subscribe(() => {})
+
+  let node = storeProxy._obj.listenerTree
+  for (const key of storeProxy._path) node = node.children.get(key)
+  node.listeners.add(spy)
+
+  return spy
+}
+
+describe('Structural Operations', () => {
+  describe('delete()', () => {
+    it('should remove an object key', () => {
+      const usersStore = store({ a: { name: 'Winter' }, b: { name: 'Karina' } })
+
+      usersStore.a.delete()
+
+      expect(usersStore.get()).toEqual({ b: { name: 'Karina' } })
+      expect('a' in usersStore.get()).toBe(false)
+    })
+
+    it('should only notify the deleted path and its parents', () => {
+      const usersStore = store({ a: { name: 'Winter' }, b: { name: 'Karina' } })
+      const before = usersStore.get()
+      const deletedSpy = spyAt(usersStore.a)
+      const siblingSpy = spyAt(usersStore.b)
+      const rootSpy = spyAt(usersStore)
+
+      usersStore.a.delete()
+
+      expect(deletedSpy).toHaveBeenCalledTimes(1)
+      expect(rootSpy).toHaveBeenCalledTimes(1)
+      expect(siblingSpy).not.toHaveBeenCalled()
+      expect(usersStore.b.get()).toBe(before.b)
+    })
+
+    it('should remove an array element', () => {
+      const listStore = store(['a', 'b', 'c'])
+      const firstSpy = spyAt(listStore[0])
+
+      listStore[1].delete()
+
+      expect(listStore.get()).toEqual(['a', 'c'])
+      expect(firstSpy).not.toHaveBeenCalled()
+    })
+
+    it('should ignore missing keys', () => {
+      const usersStore = store({ a: 1 })
+      const listener = vi.fn()
+      usersStore.subscribe(listener)
+
+      usersStore.missing.delete()
+
+      expect(listener).not.toHaveBeenCalled()
+    })
+
+    it('should refuse to delete the root', () => {
+      const countStore = store(0)
+
+      expect(() => countStore.delete()).toThrow(
+        'Cannot delete the root of a store'
+      )
+    })
+  })
+
+  describe('push()', () => {
+    it('should append items', () => {
+      const todosStore = store({ todos: [{ id: 1 }] })
+      const before = todosStore.get()
+
+      todosStore.todos.push({ id: 2 }, { id: 3 })
+
+      expect(todosStore.todos.get()).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }])
+      expect(todosStore.todos[0].get()).toBe(before.todos[0])
+    })
+
+    it('should not notify existing indices', () => {
+      const todosStore = store({ todos: ['a'] })
+      const existingSpy = spyAt(todosStore.todos[0])
+      const listSpy = spyAt(todosStore.todos)
+
+      todosStore.todos.push('b')
+
+      expect(listSpy).toHaveBeenCalledTimes(1)
+      expect(existingSpy).not.toHaveBeenCalled()
+    })
+
+    it('should create the array when the path is empty', () => {
+      const dataStore = store({})
+
+      dataStore.items.push(1)
+
+      expect(dataStore.items.get()).toEqual([1])
+    })
+
+    it('should throw when the path is not an array', () => {
+      const dataStore = store({ items: 'nope' })
+
+      expect(() => dataStore.items.push(1)).toThrow(
+        'push() requires an array at "items"'
+      )
+    })
+  })
+
+  describe('insert()', () => {
+    it('should insert items at an index', () => {
+      const listStore = store(['a', 'd'])
+
+      listStore.insert(1, 'b', 'c')
+
+      expect(listStore.get()).toEqual(['a', 'b', 'c', 'd'])
+    })
+
+    it('should only notify shifted indices', () => {
+      const listStore = store(['a', 'b', 'c'])
+      const beforeSpy = spyAt(listStore[0])
+      const shiftedSpy = spyAt(listStore[1])
+
+      listStore.insert(1, 'x')
+
+      expect(beforeSpy).not.toHaveBeenCalled()
+      expect(shiftedSpy).toHaveBeenCalledTimes(1)
+    })
+
+    it('should throw for out of bounds indices', () => {
+      const listStore = store(['a'])
+
+      expect(() => listStore.insert(5, 'x')).toThrow(RangeError)
+    })
+  })
+
+  describe('move()', () => {
+    it('should move an item to a new index', () => {
+      const listStore = store(['a', 'b', 'c', 'd'])
+
+      listStore.move(0, 2)
+
+      expect(listStore.get()).toEqual(['b', 'c', 'a', 'd'])
+    })
+
+    it('should only notify indices between from and to', () => {
+      const listStore = store(['a', 'b', 'c', 'd'])
+      const movedSpy = spyAt(listStore[2])
+      const outsideSpy = spyAt(listStore[3])
+
+      listStore.move(2, 0)
+
+      expect(movedSpy).toHaveBeenCalledTimes(1)
+      expect(outsideSpy).not.toHaveBeenCalled()
+    })
+
+    it('should throw for out of bounds indices', () => {
+      const listStore = store(['a', 'b'])
+
+      expect(() => listStore.move(0, 2)).toThrow(RangeError)
+    })
+  })
+
+  describe('merge()', () => {
+    it('should shallow merge into an object', () => {
+      const settingsStore = store({
+        settings: { theme: 'dark', fontSize: 14, layout: { dense: true } },
+      })
+      const before = settingsStore.get()
+
+      settingsStore.settings.merge({ theme: 'light', language: 'en' })
+
+      expect(settingsStore.settings.get()).toEqual({
+        theme: 'light',
+        fontSize: 14,
+        language: 'en',
+        layout: { dense: true },
+      })
+      expect(settingsStore.settings.layout.get()).toBe(before.settings.layout)
+    })
+
+    it('should only notify merged keys', () => {
+      const settingsStore = store({ theme: 'dark', fontSize: 14 })
+      const themeSpy = spyAt(settingsStore.theme)
+      const fontSizeSpy = spyAt(settingsStore.fontSize)
+
+      settingsStore.merge({ theme: 'light' })
+
+      expect(themeSpy).toHaveBeenCalledTimes(1)
+      expect(fontSizeSpy).not.toHaveBeenCalled()
+    })
+
+    it('should notify the path when merging creates the object', () => {
+      const settingsStore = store({ theme: 'dark' })
+      const spy = spyAt(settingsStore.a)
+
+      settingsStore.a.merge({})
+
+      expect(settingsStore.get()).toEqual({ theme: 'dark', a: {} })
+      expect(spy).toHaveBeenCalledTimes(1)
+    })
+
+    it('should throw when the path is not an object', () => {
+      const settingsStore = store({ tags: [] })
+
+      expect(() => settingsStore.tags.merge({ a: 1 })).toThrow(
+        'merge() requires an object at "tags"'
+      )
+    })
+  })
+
+  it('should run operations through middleware', () => {
+    const todosStore = store({ todos: [] })
+    const middleware = vi.fn((context, commit) => commit())
+    const remove = addMiddleware(middleware)
+
+    todosStore.todos.push('a')
+    remove()
+
+    const [context] = middleware.mock.calls[0]
+    expect(context.path).toEqual(['todos'])
+    expect(context.prev).toEqual([])
+    expect(context.next).toEqual(['a'])
+  })
+
+  it('should throw on derived stores without a base store', () => {
+    const countStore = store([1])
+    const doubledStore = store(get => get(countStore).map(n => n * 2))
+
+    expect(() => doubledStore.push(4)).toThrow(
+      'Cannot set value on derived store. Derived stores are read-only.'
+    )
+  })
+})
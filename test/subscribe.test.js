@@ -0,0 +1,88 @@
+import { store, batch } from '../src/index'
+import { describe, it, expect, vi } from 'vitest'
+
+describe('store.subscribe()', () => {
+  it('should call the listener with the next and previous values', () => {
+    const countStore = store(0)
+    const listener = vi.fn()
+
+    countStore.subscribe(listener)
+    countStore.set(1)
+    countStore.set(prev => prev + 1)
+
+    expect(listener).toHaveBeenCalledTimes(2)
+    expect(listener).toHaveBeenNthCalledWith(1, 1, 0)
+    expect(listener).toHaveBeenNthCalledWith(2, 2, 1)
+  })
+
+  it('should return an unsubscribe function', () => {
+    const countStore = store(0)
+    const listener = vi.fn()
+
+    const unsubscribe = countStore.subscribe(listener)
+    countStore.set(1)
+    unsubscribe()
+    countStore.set(2)
+
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+
+  it('should subscribe to nested paths', () => {
+    const userStore = store({ name: 'Winter', profile: { origin: 'Korea' } })
+    const nameListener = vi.fn()
+    const originListener = vi.fn()
+
+    userStore.name.subscribe(nameListener)
+    userStore.profile.origin.subscribe(originListener)
+
+    userStore.name.set('Karina')
+
+    expect(nameListener).toHaveBeenCalledWith('Karina', 'Winter')
+    expect(originListener).not.toHaveBeenCalled()
+
+    userStore.profile.set({ origin: 'Japan' })
+
+    expect(originListener).toHaveBeenCalledWith('Japan', 'Korea')
+    expect(nameListener).toHaveBeenCalledTimes(1)
+  })
+
+  it('should only fire when the value at the path changes', () => {
+    const userStore = store({ name: 'Winter', origin: 'Korea' })
+    const listener = vi.fn()
+
+    userStore.name.subscribe(listener)
+
+    // Parent updates that keep the same name are ignored
+    userStore.set({ name: 'Winter', origin: 'Japan' })
+    userStore.origin.set('China')
+
+    expect(listener).not.toHaveBeenCalled()
+  })
+
+  it('should fire once per batch with the values before and after', () => {
+    const countStore = store(0)
+    const listener = vi.fn()
+
+    countStore.subscribe(listener)
+
+    batch(() => {
+      countStore.set(1)
+      countStore.set(2)
+      countStore.set(3)
+    })
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(listener).toHaveBeenCalledWith(3, 0)
+  })
+
+  it('should subscribe to derived stores', () => {
+    const countStore = store(1)
+    const doubleStore = countStore.derive(count => count * 2)
+    const listener = vi.fn()
+
+    doubleStore.subscribe(listener)
+    countStore.set(5)
+
+    expect(listener).toHaveBeenCalledWith(10, 2)
+  })
+})
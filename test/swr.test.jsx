@@ -0,0 +1,221 @@
+import React from 'react'
+import {
+  store,
+  combine,
+  useStoreValue,
+  isLoading,
+  isError,
+  isSuccess,
+  getErrorMessage,
+  getErrorStatus,
+} from '../src/index'
+import { render, act } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// A promise that settles when the test says so
+const deferred = () => {
+  let resolve, reject
+  const promise = new Promise((res, rej) => {
+    resolve = res
+    reject = rej
+  })
+  return { promise, resolve, reject }
+}
+
+describe('Stale-While-Revalidate', () => {
+  it('should start in the loading state', () => {
+    const idStore = store(1)
+    const userStore = idStore.derive(id => deferred().promise, { swr: true })
+
+    expect(userStore.get()).toEqual({
+      status: 'loading',
+      data: undefined,
+      error: null,
+      isFetching: true,
+      updatedAt: null,
+      attempt: 1,
+    })
+    expect(isLoading(userStore.get())).toBe(true)
+  })
+
+  it('should hold the result under data once loaded', async () => {
+    const idStore = store(1)
+    const userStore = idStore.derive(id => Promise.resolve({ id }), {
+      swr: true,
+    })
+    await wait(0)
+
+    const state = userStore.get()
+    expect(state.status).toBe('success')
+    expect(state.data).toEqual({ id: 1 })
+    expect(state.isFetching).toBe(false)
+    expect(typeof state.updatedAt).toBe('number')
+    expect(isSuccess(state)).toBe(true)
+  })
+
+  it('should keep the previous data while the input changes', async () => {
+    const idStore = store(1)
+    const requests = []
+    const userStore = idStore.derive(
+      id => {
+        const request = deferred()
+        requests.push(request)
+        return request.promise
+      },
+      { swr: true }
+    )
+    requests[0].resolve({ id: 1 })
+    await wait(0)
+    const loadedAt = userStore.get().updatedAt
+
+    idStore.set(2)
+
+    expect(userStore.get()).toEqual({
+      status: 'success',
+      data: { id: 1 },
+      error: null,
+      isFetching: true,
+      updatedAt: loadedAt,
+      attempt: 1,
+    })
+    expect(isLoading(userStore.get())).toBe(false)
+    expect(isSuccess(userStore.get())).toBe(true)
+
+    requests[1].resolve({ id: 2 })
+    await wait(0)
+    expect(userStore.get().data).toEqual({ id: 2 })
+    expect(userStore.get().isFetching).toBe(false)
+  })
+
+  it('should keep the previous data after a failed refetch', async () => {
+    const error = Object.assign(new Error('Not found'), { status: 404 })
+    let attempts = 0
+    const idStore = store(1)
+    const userStore = idStore.derive(
+      id =>
+        ++attempts === 1 ? Promise.resolve({ id }) : Promise.reject(error),
+      { swr: true }
+    )
+    await wait(0)
+    const loadedAt = userStore.get().updatedAt
+
+    await userStore.refetch()
+
+    const state = userStore.get()
+    expect(state.status).toBe('error')
+    expect(state.error).toBe(error)
+    expect(state.data).toEqual({ id: 1 })
+    expect(state.updatedAt).toBe(loadedAt)
+    expect(isError(state)).toBe(true)
+    expect(getErrorMessage(state)).toBe('Not found')
+    expect(getErrorStatus(state)).toBe(404)
+  })
+
+  it('should not misread payloads with loading or error keys', async () => {
+    const payload = { loading: true, error: true, message: 'From the API' }
+    const idStore = store(1)
+    const swrStore = idStore.derive(() => Promise.resolve(payload), {
+      swr: true,
+    })
+    await wait(0)
+
+    const state = swrStore.get()
+    expect(state.data).toEqual(payload)
+    expect(isSuccess(state)).toBe(true)
+    expect(isLoading(state)).toBe(false)
+    expect(isError(state)).toBe(false)
+    expect(getErrorMessage(state)).toBe(null)
+  })
+
+  it('should recognise copies of async states', async () => {
+    const idStore = store(1)
+    const userStore = idStore.derive(id => deferred().promise, { swr: true })
+    const loading = userStore.get()
+
+    expect(isLoading({ ...loading })).toBe(true)
+    expect(isSuccess({ ...loading })).toBe(false)
+    expect(isLoading(JSON.parse(JSON.stringify(loading)))).toBe(true)
+
+    const failed = { ...loading, status: 'error', error: new Error('Offline') }
+    expect(isError(failed)).toBe(true)
+    expect(getErrorMessage(failed)).toBe('Offline')
+  })
+
+  it('should keep the previous data in .async() stores', async () => {
+    let count = 0
+    const countStore = store().async(() => Promise.resolve(++count), {
+      swr: true,
+    })
+    await wait(0)
+    expect(countStore.get().data).toBe(1)
+
+    const refetching = countStore.refetch()
+    expect(countStore.get().data).toBe(1)
+    expect(countStore.get().isFetching).toBe(true)
+
+    await refetching
+    expect(countStore.get().data).toBe(2)
+    expect(countStore.get().isFetching).toBe(false)
+  })
+
+  it('should record errors in .async() stores', async () => {
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const error = new Error('Offline')
+    const dataStore = store().async(() => Promise.reject(error), { swr: true })
+    await wait(0)
+
+    expect(dataStore.get().status).toBe('error')
+    expect(dataStore.get().error).toBe(error)
+    consoleSpy.mockRestore()
+  })
+
+  it('should accept options in async combine stores', async () => {
+    const userIdStore = store(1)
+    const pageStore = store(1)
+    const postsStore = combine(
+      [userIdStore, pageStore],
+      ([userId, page]) => Promise.resolve({ userId, page }),
+      { swr: true }
+    )
+    postsStore.subscribe(() => {})
+    await wait(0)
+
+    expect(postsStore.get().data).toEqual({ userId: 1, page: 1 })
+  })
+
+  it('should keep the bare result without the option', async () => {
+    const idStore = store(1)
+    const userStore = idStore.derive(id => Promise.resolve({ id }))
+
+    idStore.set(2)
+    expect(userStore.get()).toEqual({ loading: true })
+
+    await wait(0)
+    expect(userStore.get()).toEqual({ id: 2 })
+  })
+
+  it('should not flash empty in components while refetching', async () => {
+    let count = 0
+    const countStore = store().async(() => Promise.resolve(++count), {
+      swr: true,
+    })
+    const renders = []
+
+    function Counter() {
+      const { data } = useStoreValue(countStore)
+      renders.push(data)
+      return <p>{data}</p>
+    }
+
+    render(<Counter />)
+    await act(() => wait(0))
+    renders.length = 0
+
+    await act(() => countStore.refetch())
+
+    expect(renders).not.toContain(undefined)
+    expect(renders[renders.length - 1]).toBe(2)
+  })
+})
@@ -0,0 +1,161 @@
+import React from 'react'
+import { store, useStoreSelector } from '../src/index'
+import { render, screen, act, renderHook } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+
+describe('useStoreSelector', () => {
+  it('should return the selected slice of the store', () => {
+    const todosStore = store({
+      filter: 'all',
+      items: [
+        { id: 1, text: 'Learn React', done: true },
+        { id: 2, text: 'Learn Selectors', done: false },
+      ],
+    })
+
+    const { result } = renderHook(() =>
+      useStoreSelector(todosStore, state => state.items.length)
+    )
+
+    expect(result.current).toBe(2)
+  })
+
+  it('should re-render only when the selected value changes', () => {
+    const todosStore = store({
+      filter: 'all',
+      items: [
+        { id: 1, text: 'Learn React', done: true },
+        { id: 2, text: 'Learn Selectors', done: false },
+      ],
+    })
+    const renders = vi.fn()
+
+    function DoneCount() {
+      renders()
+      const doneCount = useStoreSelector(
+        todosStore,
+        state => state.items.filter(item => item.done).length
+      )
+      return <p>Done: {doneCount}</p>
+    }
+
+    render(<DoneCount />)
+    expect(renders).toHaveBeenCalledTimes(1)
+
+    // Unrelated change: selector output stays the same
+    act(() => {
+      todosStore.filter.set('active')
+    })
+    expect(renders).toHaveBeenCalledTimes(1)
+
+    act(() => {
+      todosStore.items[1].done.set(true)
+    })
+    expect(renders).toHaveBeenCalledTimes(2)
+    expect(screen.getByText('Done: 2')).toBeInTheDocument()
+  })
+
+  it('should keep the previous reference for deeply equal selections', () => {
+    const todosStore = store({
+      filter: 'all',
+      items: [
+        { id: 1, text: 'Learn React', done: true },
+        { id: 2, text: 'Learn Selectors', done: false },
+      ],
+    })
+
+    const { result } = renderHook(() =>
+      useStoreSelector(todosStore, state =>
+        state.items.filter(item => item.done)
+      )
+    )
+    const firstSelection = result.current
+
+    act(() => {
+      todosStore.filter.set('done')
+    })
+
+    expect(result.current).toBe(firstSelection)
+  })
+
+  it('should use a custom equality function', () => {
+    const todosStore = store({
+      filter: 'all',
+      items: [
+        { id: 1, text: 'Learn React', done: true },
+        { id: 2, text: 'Learn Selectors', done: false },
+      ],
+    })
+    const renders = vi.fn()
+
+    // Only compare ids, ignoring text edits
+    const sameIds = (a, b) =>
+      a.length === b.length && a.every((item, i) => item.id === b[i].id)
+
+    function TodoIds() {
+      renders()
+      const items = useStoreSelector(todosStore, state => state.items, sameIds)
+      return <p>Items: {items.length}</p>
+    }
+
+    render(<TodoIds />)
+
+    act(() => {
+      todosStore.items[0].text.set('Learn React deeply')
+    })
+    expect(renders).toHaveBeenCalledTimes(1)
+
+    act(() => {
+      todosStore.items.set(items => [
+        ...items,
+        { id: 3, text: 'Ship it', done: false },
+      ])
+    })
+    expect(renders).toHaveBeenCalledTimes(2)
+    expect(screen.getByText('Items: 3')).toBeInTheDocument()
+  })
+
+  it('should work on nested store paths', () => {
+    const todosStore = store({
+      filter: 'all',
+      items: [
+        { id: 1, text: 'Learn React', done: true },
+        { id: 2, text: 'Learn Selectors', done: false },
+      ],
+    })
+
+    const { result } = renderHook(() =>
+      useStoreSelector(todosStore.items, items =>
+        items.map(item => item.text).join(', ')
+      )
+    )
+
+    expect(result.current).toBe('Learn React, Learn Selectors')
+
+    act(() => {
+      todosStore.items[0].text.set('Learn Hooks')
+    })
+
+    expect(result.current).toBe('Learn Hooks, Learn Selectors')
+  })
+
+  it('should work on derived stores', () => {
+    const countStore = store(2)
+    const statsStore = store(get => ({
+      count: get(countStore),
+      double: get(countStore) * 2,
+    }))
+
+    const { result } = renderHook(() =>
+      useStoreSelector(statsStore, stats => stats.double)
+    )
+
+    expect(result.current).toBe(4)
+
+    act(() => {
+      countStore.set(5)
+    })
+
+    expect(result.current).toBe(10)
+  })
+})
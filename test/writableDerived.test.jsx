@@ -0,0 +1,152 @@
+import React from 'react'
+import { store, useStore } from '../src/index'
+import { render, fireEvent } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+
+describe('Writable Derived Stores', () => {
+  const createTemperatureStores = () => {
+    const fahrenheitStore = store(32)
+    const celsiusStore = store(
+      get => ((get(fahrenheitStore) - 32) * 5) / 9,
+      (get, set, celsius) => set(fahrenheitStore, (celsius * 9) / 5 + 32)
+    )
+    return { fahrenheitStore, celsiusStore }
+  }
+
+  it('should map writes back to the source store', () => {
+    const { fahrenheitStore, celsiusStore } = createTemperatureStores()
+
+    celsiusStore.set(100)
+
+    expect(fahrenheitStore.get()).toBe(212)
+    expect(celsiusStore.get()).toBe(100)
+  })
+
+  it('should pass the current value to updaters', () => {
+    const { fahrenheitStore, celsiusStore } = createTemperatureStores()
+
+    celsiusStore.set(celsius => celsius + 10)
+
+    expect(fahrenheitStore.get()).toBe(50)
+  })
+
+  it('should merge nested writes into the whole value', () => {
+    const todosStore = store([
+      { id: 1, text: 'Learn React', done: true },
+      { id: 2, text: 'Learn Stores', done: false },
+    ])
+    const activeStore = store(
+      get => get(todosStore).filter(todo => !todo.done),
+      (get, set, active) =>
+        set(todosStore, todos =>
+          todos.map(todo => active.find(item => item.id === todo.id) || todo)
+        )
+    )
+
+    activeStore[0].text.set('Learn Lenses')
+
+    expect(todosStore.get()).toEqual([
+      { id: 1, text: 'Learn React', done: true },
+      { id: 2, text: 'Learn Lenses', done: false },
+    ])
+  })
+
+  it('should support structural operations', () => {
+    const tagsStore = store('react,store')
+    const tagListStore = store(
+      get => get(tagsStore).split(','),
+      (get, set, tags) => set(tagsStore, tags.join(','))
+    )
+
+    tagListStore.push('proxy')
+
+    expect(tagsStore.get()).toBe('react,store,proxy')
+  })
+
+  it('should notify once when writing to several sources', () => {
+    const firstNameStore = store('Kim')
+    const lastNameStore = store('Minjeong')
+    const fullNameStore = store(
+      get => `${get(firstNameStore)} ${get(lastNameStore)}`,
+      (get, set, fullName) => {
+        const [first, last] = fullName.split(' ')
+        set(firstNameStore, first)
+        set(lastNameStore, last)
+      }
+    )
+    const listener = vi.fn()
+    fullNameStore.subscribe(listener)
+
+    fullNameStore.set('Yu Jimin')
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(listener).toHaveBeenCalledWith('Yu Jimin', 'Kim Minjeong')
+  })
+
+  it('should skip writes equal to the current value', () => {
+    const { celsiusStore } = createTemperatureStores()
+    const write = vi.fn()
+    const readOnlyWriteStore = store(get => get(celsiusStore), write)
+
+    readOnlyWriteStore.set(0)
+
+    expect(write).not.toHaveBeenCalled()
+  })
+
+  it('should accept a write function in .derive()', () => {
+    const fahrenheitStore = store(32)
+    const celsiusStore = fahrenheitStore.derive(
+      fahrenheit => ((fahrenheit - 32) * 5) / 9,
+      (get, set, celsius) => set(fahrenheitStore, (celsius * 9) / 5 + 32)
+    )
+
+    celsiusStore.set(-40)
+
+    expect(fahrenheitStore.get()).toBe(-40)
+  })
+
+  it('should accept options after the write function', () => {
+    const countStore = store(1)
+    const boxedStore = store(
+      get => ({ count: get(countStore) }),
+      (get, set, boxed) => set(countStore, boxed.count),
+      { equals: 'is' }
+    )
+    const listener = vi.fn()
+    boxedStore.subscribe(listener)
+
+    countStore.set(1)
+    boxedStore.set({ count: 2 })
+
+    expect(countStore.get()).toBe(2)
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+
+  it('should stay read-only without a write function', () => {
+    const countStore = store(1)
+    const doubleStore = store(get => get(countStore) * 2)
+
+    expect(() => doubleStore.set(4)).toThrow(
+      'Cannot set value on derived store. Derived stores are read-only.'
+    )
+  })
+
+  it('should work with useStore', () => {
+    const { fahrenheitStore, celsiusStore } = createTemperatureStores()
+
+    function Thermometer() {
+      const [celsius, setCelsius] = useStore(celsiusStore)
+      return (
+        <button data-testid='warm' onClick={() => setCelsius(celsius + 20)}>
+          {celsius}
+        </button>
+      )
+    }
+
+    const { getByTestId } = render(<Thermometer />)
+    fireEvent.click(getByTestId('warm'))
+
+    expect(getByTestId('warm').textContent).toBe('20')
+    expect(fahrenheitStore.get()).toBe(68)
+  })
+})